@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * 规则权重校准工具
+ * 读取带标注的信号快照语料（JSONL），统计每条操作系统规则在各系统下的触发率，
+ * 拟合似然表和权重，输出准确率、混淆矩阵以及可由 engine.loadWeights() 加载的权重文件
+ *
+ * 用法：
+ *   node scripts/calibrate.js <corpus.jsonl> [--out weights.json]
+ *
+ * 语料每行一条记录：{ "label": "macOS", "signals": { ...原始信号快照 } }
+ * signals 即检测步骤“原始信号快照”中的JSON
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+import { DeviceDetectionEngine } from '../src/js/detector/engine.js';
+import { LOG_ODDS_PER_POINT } from '../src/js/detector/likelihood.js';
+
+/**
+ * 输出一行文本
+ * @param {string} [line] 文本
+ */
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv 参数列表
+ * @returns {Object} { corpus, out }
+ */
+function parseArgs(argv) {
+  const args = { corpus: null, out: 'weights.json' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.corpus = argv[i];
+    }
+  }
+  return args;
+}
+
+/**
+ * 读取JSONL语料
+ * @param {string} file 语料路径
+ * @param {Array<string>} labels 有效的标注
+ * @returns {Promise<Array<Object>>} 有效记录 { label, signals }
+ */
+async function readCorpus(file, labels) {
+  const lines = (await readFile(file, 'utf8')).split('\n');
+  const records = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (!labels.includes(record.label) || !record.signals) {
+        throw new Error(`无效的标注或缺少signals: ${record.label}`);
+      }
+      records.push(record);
+    } catch (e) {
+      console.warn(`第 ${index + 1} 行已跳过: ${e.message}`);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * 获取一条记录中各规则的触发情况
+ * 信号缺失的规则不会出现在结果中
+ * @param {DeviceDetectionEngine} engine 检测引擎
+ * @param {Set<string>} ruleIds 参与校准的规则ID
+ * @param {Object} signals 原始信号
+ * @returns {Object} { prediction, fired: { [ruleId]: boolean } }
+ */
+function observe(engine, ruleIds, signals) {
+  const result = engine.evaluate(signals);
+  const fired = Object.fromEntries(
+    result.steps.filter(step => ruleIds.has(step.ruleId)).map(step => [step.ruleId, step.ok])
+  );
+  return { prediction: result.os, fired };
+}
+
+/**
+ * 拉普拉斯平滑后的触发率
+ * @param {number} fired 触发次数
+ * @param {number} total 观测次数
+ * @returns {number}
+ */
+const smoothed = (fired, total) => (fired + 1) / (total + 2);
+
+/**
+ * 推算出的似然上限，与 likelihood.js 的取值范围一致
+ * @type {number}
+ */
+const MAX_FITTED_LIKELIHOOD = 0.999;
+
+/**
+ * 推算语料中没有样本的系统的似然
+ * 规则原有似然表中的值（含 '*' 默认值）优先沿用；否则按规则当前的权重证据推算：
+ * 按权重折算时，规则只区分目标系统和其他系统，同类系统取语料中同类的触发率，
+ * 语料中没有同类系统时，由另一类的触发率按 weight × LOG_ODDS_PER_POINT 的似然比换算
+ * （动态权重无法换算，取另一类的触发率，即不提供区分证据）
+ * @param {Object} rule 检测规则
+ * @param {string} label 语料中没有样本的系统
+ * @param {Object} rates 语料中的平滑触发率 { target, rest }，没有对应样本时为null，两者至少有一个
+ * @returns {number}
+ */
+function inferLikelihood(rule, label, rates) {
+  const original = rule.likelihoods?.[label] ?? rule.likelihoods?.['*'];
+  if (original !== undefined) {
+    return original;
+  }
+
+  const isTarget = rule.targets.includes(label);
+  const same = isTarget ? rates.target : rates.rest;
+  if (same !== null) {
+    return same;
+  }
+
+  const other = isTarget ? rates.rest : rates.target;
+  if (typeof rule.weight !== 'number') {
+    return other;
+  }
+  const ratio = Math.exp((isTarget ? 1 : -1) * rule.weight * LOG_ODDS_PER_POINT);
+  return Math.min(MAX_FITTED_LIKELIHOOD, other * ratio);
+}
+
+/**
+ * 基于观测结果拟合一条规则
+ * 似然为各系统下的平滑触发率，语料中没有样本的系统见 inferLikelihood()；
+ * 权重为目标系统相对其他系统的对数似然比按 LOG_ODDS_PER_POINT 折算的分数；
+ * 动态权重的规则和在语料中从未触发的规则只拟合似然
+ * @param {Object} rule 检测规则
+ * @param {Array<Object>} observations 观测结果 { label, fired }
+ * @param {Array<string>} candidates 全部候选系统
+ * @returns {Object|null} { weight?, likelihoods }，没有任何观测时返回null
+ */
+function fitRule(rule, observations, candidates) {
+  const seen = observations.filter(({ fired }) => rule.id in fired);
+  if (!seen.length) {
+    return null;
+  }
+
+  const count = filter => {
+    const matched = seen.filter(filter);
+    return [matched.filter(({ fired }) => fired[rule.id]).length, matched.length];
+  };
+
+  const [targetFired, targetTotal] = count(({ label }) => rule.targets.includes(label));
+  const [restFired, restTotal] = count(({ label }) => !rule.targets.includes(label));
+  const rates = {
+    target: targetTotal ? smoothed(targetFired, targetTotal) : null,
+    rest: restTotal ? smoothed(restFired, restTotal) : null
+  };
+
+  // 语料中没有样本、或样本都缺少该规则信号的系统按 inferLikelihood() 推算
+  const likelihoods = Object.fromEntries(candidates.map(candidate => {
+    const [fired, total] = count(observation => observation.label === candidate);
+    const p = total ? smoothed(fired, total) : inferLikelihood(rule, candidate, rates);
+    return [candidate, Number(p.toFixed(4))];
+  }));
+
+  const fitted = { likelihoods };
+
+  const informative = targetFired + restFired > 0 && targetTotal && restTotal;
+
+  if (typeof rule.weight === 'number' && informative) {
+    const logOdds = Math.log(smoothed(targetFired, targetTotal) / smoothed(restFired, restTotal));
+    // 避免出现 -0
+    fitted.weight = Math.round(logOdds / LOG_ODDS_PER_POINT) || 0;
+  }
+
+  return fitted;
+}
+
+/**
+ * 统计准确率和混淆矩阵
+ * @param {Array<Object>} outcomes 评估结果 { label, prediction }
+ * @param {Array<string>} labels 标注列表
+ * @returns {Object} { accuracy, perLabel, matrix }
+ */
+function score(outcomes, labels) {
+  const columns = [...labels, '未知'];
+  const matrix = Object.fromEntries(
+    labels.map(label => [label, Object.fromEntries(columns.map(column => [column, 0]))])
+  );
+  outcomes.forEach(({ label, prediction }) => {
+    const column = columns.includes(prediction) ? prediction : '未知';
+    matrix[label][column]++;
+  });
+
+  const perLabel = Object.fromEntries(
+    labels.map(label => {
+      const total = Object.values(matrix[label]).reduce((sum, n) => sum + n, 0);
+      return [label, { correct: matrix[label][label], total }];
+    })
+  );
+  const correct = outcomes.filter(({ label, prediction }) => label === prediction).length;
+
+  return { accuracy: correct / outcomes.length, perLabel, matrix };
+}
+
+/**
+ * 格式化百分比
+ * @param {number} ratio 比例
+ * @returns {string}
+ */
+const percent = ratio => `${(ratio * 100).toFixed(1)}%`;
+
+/**
+ * 打印评估报告
+ * @param {Object} before 校准前评估
+ * @param {Object} after 校准后评估
+ * @param {Array<string>} labels 标注列表
+ */
+function printReport(before, after, labels) {
+  print(`准确率: ${percent(before.accuracy)} → ${percent(after.accuracy)}（在语料本身上评估）`);
+  print();
+  print('各系统准确率（校准后）:');
+  labels.forEach(label => {
+    const { correct, total } = after.perLabel[label];
+    print(`  ${label.padEnd(8)} ${String(correct).padStart(5)}/${String(total).padEnd(5)} ${percent(correct / total)}`);
+  });
+
+  const columns = [...labels, '未知'];
+  print();
+  print('混淆矩阵（行: 标注，列: 预测）:');
+  print(`  ${''.padEnd(8)}${columns.map(column => column.padStart(9)).join('')}`);
+  labels.forEach(label => {
+    const row = columns.map(column => String(after.matrix[label][column]).padStart(9)).join('');
+    print(`  ${label.padEnd(8)}${row}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.corpus) {
+    print('用法: node scripts/calibrate.js <corpus.jsonl> [--out weights.json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const engine = new DeviceDetectionEngine();
+  const { candidates } = engine.scoreSystem;
+  const records = await readCorpus(args.corpus, candidates);
+  if (!records.length) {
+    console.error('语料中没有有效记录');
+    process.exitCode = 1;
+    return;
+  }
+
+  const labels = candidates.filter(os => records.some(({ label }) => label === os));
+  const missing = candidates.filter(os => !labels.includes(os));
+  print(`样本: ${records.length}（${labels.map(label =>
+    `${label} ${records.filter(record => record.label === label).length}`).join('，')}）`);
+  if (missing.length) {
+    console.warn(`语料中没有 ${missing.join('、')} 的样本，这些系统的似然沿用规则原有的似然表，` +
+      '或按规则当前的权重由其他系统的触发率推算');
+  }
+
+  const osRules = engine.rules.filter(rule => (rule.axis || 'os') === 'os');
+  const ruleIds = new Set(osRules.map(rule => rule.id));
+  const observations = records.map(({ label, signals }) => ({
+    label,
+    ...observe(engine, ruleIds, signals)
+  }));
+
+  const weights = {
+    generatedAt: new Date().toISOString(),
+    samples: records.length,
+    rules: {}
+  };
+  osRules.forEach(rule => {
+    const fitted = fitRule(rule, observations, candidates);
+    if (fitted) {
+      weights.rules[rule.id] = fitted;
+    }
+  });
+
+  const calibrated = new DeviceDetectionEngine().loadWeights(weights);
+  const before = score(observations, labels);
+  const after = score(
+    records.map(({ label, signals }) => ({ label, prediction: calibrated.evaluate(signals).os })),
+    labels
+  );
+
+  print();
+  printReport(before, after, labels);
+
+  const changed = osRules.filter(rule =>
+    weights.rules[rule.id] && 'weight' in weights.rules[rule.id] &&
+    weights.rules[rule.id].weight !== rule.weight);
+  if (changed.length) {
+    print();
+    print('权重变化:');
+    changed.forEach(rule => print(`  ${rule.id.padEnd(32)} ${rule.weight} → ${weights.rules[rule.id].weight}`));
+  }
+
+  await writeFile(args.out, `${JSON.stringify(weights, null, 2)}\n`);
+  print();
+  print(`权重文件已写入 ${args.out}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
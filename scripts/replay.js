@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * 信号快照重放工具
+ * 读取“原始信号快照”步骤导出的JSON，在Node中使用与浏览器完全相同的规则重新计分，
+ * 用于复现用户报告，以及把真实设备的快照作为回归测试用例
+ *
+ * 用法：
+ *   node scripts/replay.js <snapshot.json>... [--expect <os>] [--weights weights.json] [--verbose]
+ *
+ * 快照可以是信号对象本身，也可以是 { "label": "macOS", "signals": { ... } }；
+ * 提供 --expect 或快照带有 label 时检查识别结果，任一快照不符则以非零状态退出
+ */
+
+import { readFile } from 'node:fs/promises';
+
+import { DeviceDetectionEngine } from '../src/js/detector/engine.js';
+import { formatOSVersion } from '../src/js/detector/version.js';
+import { VERDICT_LABELS } from '../src/js/detector/consistency.js';
+
+/**
+ * 输出一行文本
+ * @param {string} [line] 文本
+ */
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv 参数列表
+ * @returns {Object} { files, expect, weights, verbose }
+ */
+function parseArgs(argv) {
+  const args = { files: [], expect: null, weights: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--expect') {
+      args.expect = argv[++i];
+    } else if (argv[i] === '--weights') {
+      args.weights = argv[++i];
+    } else if (argv[i] === '--verbose') {
+      args.verbose = true;
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * 格式化概率分布，按概率从高到低排列
+ * @param {Object} probabilities 以候选项为键的概率
+ * @returns {string}
+ */
+const formatProbabilities = probabilities =>
+  Object.entries(probabilities)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, p]) => `${name} ${(p * 100).toFixed(1)}%`)
+    .join(' · ');
+
+/**
+ * 打印单个快照的检测结果
+ * @param {Object} result 检测结果
+ * @param {boolean} verbose 是否打印全部规则步骤
+ */
+function printResult(result, verbose) {
+  print(`  系统: ${formatOSVersion(result.os, result.version)} (${result.confidence}%)`);
+  print(`  概率: ${formatProbabilities(result.probabilities)}`);
+  print(`  浏览器: ${result.browser.name}${result.browser.version ? ` ${result.browser.version}` : ''} · ${result.browser.engine}`);
+  print(`  设备类型: ${result.deviceClass.name} (${result.deviceClass.confidence}%)`);
+  // 一致性推断器出错时没有结论
+  if (result.consistency) {
+    print(`  一致性: ${VERDICT_LABELS[result.consistency.verdict]}`);
+  }
+
+  const steps = result.steps.filter(step => step.ruleId !== 'snapshot' && (verbose || step.ok));
+  print(`  ${verbose ? '检测步骤' : '触发的规则'}:`);
+  steps.forEach(step => {
+    const weight = typeof step.weight === 'number' ? ` [${step.weight > 0 ? '+' : ''}${step.weight}]` : '';
+    print(`    ${step.ok ? '✔' : '✖'} ${step.ruleId}${weight} ${step.title}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length) {
+    print('用法: node scripts/replay.js <snapshot.json>... [--expect <os>] [--weights weights.json] [--verbose]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const engine = new DeviceDetectionEngine();
+  if (args.weights) {
+    engine.loadWeights(JSON.parse(await readFile(args.weights, 'utf8')));
+  }
+
+  let failures = 0;
+  for (const file of args.files) {
+    let snapshot;
+    let result;
+    try {
+      snapshot = JSON.parse(await readFile(file, 'utf8'));
+      result = engine.replay(snapshot);
+    } catch (e) {
+      console.error(`✖ ${file}: ${e.message}`);
+      failures++;
+      continue;
+    }
+
+    const expected = args.expect || snapshot.label || null;
+    const passed = !expected || result.os === expected;
+    const verdict = expected ? `${passed ? '✔' : '✖'} 期望 ${expected}` : '';
+    print(`${file}: ${result.os} ${result.confidence}% ${verdict}`.trim());
+    printResult(result, args.verbose);
+
+    if (!passed) {
+      failures++;
+    }
+  }
+
+  if (failures) {
+    console.error(`${failures}/${args.files.length} 个快照未通过`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
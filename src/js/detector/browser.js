@@ -0,0 +1,140 @@
+/**
+ * 浏览器与渲染引擎检测模块
+ * 结合User-Agent解析和特性探测识别浏览器品牌、版本及渲染引擎
+ */
+
+/**
+ * 支持识别的浏览器
+ * @type {Array<string>}
+ */
+export const BROWSERS = [
+  'Chrome',
+  'Edge',
+  'Safari',
+  'Firefox',
+  'Samsung Internet',
+  'Opera',
+  'Brave',
+  'WeChat',
+  'QQ Browser',
+  'UC Browser'
+];
+
+/**
+ * 支持识别的渲染引擎
+ * @type {Array<string>}
+ */
+export const BROWSER_ENGINES = ['Blink', 'WebKit', 'Gecko'];
+
+/**
+ * User-Agent浏览器标识，按优先级排列
+ * 套壳浏览器的标识必须排在Chrome/Safari之前
+ */
+const UA_PATTERNS = [
+  { name: 'WeChat', pattern: /micromessenger\/([\d.]+)/i },
+  { name: 'QQ Browser', pattern: /m?qqbrowser\/([\d.]+)/i },
+  { name: 'UC Browser', pattern: /ucbrowser\/([\d.]+)/i },
+  { name: 'Samsung Internet', pattern: /samsungbrowser\/([\d.]+)/i },
+  { name: 'Edge', pattern: /edg(?:e|a|ios)?\/([\d.]+)/i },
+  { name: 'Opera', pattern: /(?:opr|opt)\/([\d.]+)/i },
+  { name: 'Firefox', pattern: /(?:firefox|fxios)\/([\d.]+)/i },
+  { name: 'Chrome', pattern: /(?:chrome|crios)\/([\d.]+)/i },
+  { name: 'Safari', pattern: /version\/([\d.]+).*safari\//i }
+];
+
+/**
+ * Client Hints品牌名称与浏览器的对应关系
+ */
+const BRAND_MAP = {
+  'Google Chrome': 'Chrome',
+  'Microsoft Edge': 'Edge',
+  Opera: 'Opera',
+  Brave: 'Brave',
+  'Samsung Internet': 'Samsung Internet'
+};
+
+/**
+ * 会在Client Hints品牌列表中出现的浏览器
+ * @type {Array<string>}
+ */
+export const HINTED_BROWSERS = [...new Set(Object.values(BRAND_MAP))];
+
+/**
+ * 解析User-Agent中的浏览器和渲染引擎
+ * @param {string} userAgent User-Agent字符串
+ * @returns {Object} { name, version, engine, engineVersion }，无法识别的字段为null
+ */
+export function parseBrowserUA(userAgent) {
+  const ua = String(userAgent || '');
+  const result = { name: null, version: null, engine: null, engineVersion: null };
+
+  const matched = UA_PATTERNS.find(({ pattern }) => pattern.test(ua));
+  if (matched) {
+    result.name = matched.name;
+    [, result.version] = ua.match(matched.pattern);
+  }
+
+  // iOS上所有浏览器都必须使用WebKit
+  const isIOS = /iphone|ipad|ipod/i.test(ua);
+  const gecko = ua.match(/rv:([\d.]+)\) gecko\/\d+/i);
+  const blink = ua.match(/chrome\/([\d.]+)/i);
+  const webkit = ua.match(/applewebkit\/([\d.]+)/i);
+
+  if (gecko && !isIOS) {
+    result.engine = 'Gecko';
+    [, result.engineVersion] = gecko;
+  } else if (blink && !isIOS) {
+    result.engine = 'Blink';
+    [, result.engineVersion] = blink;
+  } else if (webkit) {
+    result.engine = 'WebKit';
+    [, result.engineVersion] = webkit;
+  }
+
+  return result;
+}
+
+/**
+ * 探测浏览器特有的全局对象和CSS特性
+ * @returns {Object} 特性探测结果
+ */
+export function getBrowserFeatures() {
+  return {
+    chromeObject: 'chrome' in window,
+    operaObject: 'opr' in window,
+    braveAPI: 'brave' in navigator,
+    mozInnerScreen: 'mozInnerScreenX' in window,
+    mozAppearance: CSS.supports('-moz-appearance', 'none'),
+    gestureEvent: 'GestureEvent' in window,
+    userAgentData: 'userAgentData' in navigator
+  };
+}
+
+/**
+ * 将Client Hints品牌列表映射为浏览器名称
+ * @param {Array<Object>} brands 品牌列表
+ * @returns {Array<string>} 浏览器名称列表
+ */
+export function getHintedBrowsers(brands = []) {
+  return brands.map(({ brand }) => BRAND_MAP[brand]).filter(Boolean);
+}
+
+/**
+ * 获取浏览器完整版本号
+ * 优先使用Client Hints的 fullVersionList，其次使用User-Agent解析结果
+ * @param {string} name 浏览器名称
+ * @param {Object} signals 全部信号
+ * @returns {string|null}
+ */
+export function getBrowserVersion(name, signals) {
+  const hints = signals.clientHints;
+  if (hints && hints.available) {
+    const hinted = hints.fullVersionList.find(({ brand }) => BRAND_MAP[brand] === name);
+    if (hinted) {
+      return hinted.version;
+    }
+  }
+
+  const parsed = signals.browser?.ua;
+  return parsed && parsed.name === name ? parsed.version : null;
+}
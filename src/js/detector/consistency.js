@@ -0,0 +1,266 @@
+/**
+ * 一致性检查模块
+ * 将User-Agent声明的操作系统与硬件信号（WebGL、编解码、触摸、Client Hints等）逐项比对，
+ * 找出相互矛盾的证据，识别UA伪装、UA覆盖和设备模拟
+ */
+
+import { getHintedOS } from './uach.js';
+
+/**
+ * 一致性结论
+ */
+export const CONSISTENCY_VERDICT = {
+  CONSISTENT: 'consistent',
+  SPOOFING: 'possible-spoofing',
+  UA_OVERRIDE: 'ua-override',
+  EMULATION: 'emulation'
+};
+
+/**
+ * 结论说明文字
+ */
+export const VERDICT_LABELS = {
+  [CONSISTENCY_VERDICT.CONSISTENT]: '信号一致',
+  [CONSISTENCY_VERDICT.SPOOFING]: '可能伪装 User-Agent',
+  [CONSISTENCY_VERDICT.UA_OVERRIDE]: 'User-Agent 被覆盖',
+  [CONSISTENCY_VERDICT.EMULATION]: '可能处于设备模拟模式'
+};
+
+const APPLE_OS = ['macOS', 'iOS', 'iPadOS'];
+const MOBILE_OS = ['iOS', 'iPadOS', 'Android'];
+
+/**
+ * navigator.platform 与操作系统的对应关系
+ * iPad桌面模式同样报告 MacIntel，Android报告 Linux armv8l 等
+ */
+const PLATFORM_PATTERNS = [
+  { pattern: /^win/i, os: ['Windows'] },
+  { pattern: /^mac/i, os: ['macOS', 'iPadOS'] },
+  { pattern: /^iphone|^ipod/i, os: ['iOS'] },
+  { pattern: /^ipad/i, os: ['iPadOS'] },
+  { pattern: /linux|^android/i, os: ['Linux', 'Android'] }
+];
+
+/**
+ * User-Agent中的操作系统声明，按优先级排列
+ */
+const UA_CLAIMS = [
+  { pattern: /iphone|ipod/, os: 'iOS' },
+  { pattern: /ipad/, os: 'iPadOS' },
+  { pattern: /android/, os: 'Android' },
+  { pattern: /windows nt/, os: 'Windows' },
+  { pattern: /mac os x/, os: 'macOS' },
+  { pattern: /cros|linux|x11/, os: 'Linux' }
+];
+
+/**
+ * 从User-Agent字符串推断声明的操作系统
+ * 已被识别为桌面模式iPad时，Macintosh UA 视为 iPadOS 的正常表现
+ * @param {Object} signals 全部信号（含推断结果）
+ * @returns {string|null}
+ */
+export function getClaimedOS(signals) {
+  if (signals.ipad?.isIPad) {
+    return 'iPadOS';
+  }
+
+  const ua = (signals.userAgent?.ua || '').toLowerCase();
+  const matched = UA_CLAIMS.find(({ pattern }) => pattern.test(ua));
+  return matched ? matched.os : null;
+}
+
+/**
+ * 比对Client Hints平台与UA声明
+ * @param {string} claimed UA声明的操作系统
+ * @param {Object} signals 全部信号
+ * @returns {Object|null} 冲突
+ */
+function checkClientHints(claimed, signals) {
+  const hints = signals.clientHints;
+  const hinted = hints && hints.available ? getHintedOS(hints.platform) : null;
+  if (!hinted || hinted === claimed) {
+    return null;
+  }
+  return {
+    type: CONSISTENCY_VERDICT.UA_OVERRIDE,
+    claim: claimed,
+    evidence: `Client Hints platform="${hints.platform}"`
+  };
+}
+
+/**
+ * 比对navigator.platform与UA声明
+ * @param {string} claimed UA声明的操作系统
+ * @param {Object} signals 全部信号
+ * @returns {Object|null} 冲突
+ */
+function checkPlatform(claimed, signals) {
+  const platform = signals.userAgent?.platform;
+  const matched = platform && PLATFORM_PATTERNS.find(({ pattern }) => pattern.test(platform));
+  if (!matched || matched.os.includes(claimed)) {
+    return null;
+  }
+  return {
+    type: CONSISTENCY_VERDICT.UA_OVERRIDE,
+    claim: claimed,
+    evidence: `navigator.platform="${platform}"`
+  };
+}
+
+/**
+ * 比对WebGL GPU与UA声明
+ * @param {string} claimed UA声明的操作系统
+ * @param {Object} signals 全部信号
+ * @returns {Array<Object>} 冲突列表
+ */
+function checkGPU(claimed, signals) {
+  const { webgl } = signals;
+  if (!webgl || !webgl.available) {
+    return [];
+  }
+
+  const conflicts = [];
+  const evidence = `WebGL renderer="${webgl.renderer}"`;
+  const renderer = webgl.renderer.toLowerCase();
+
+  if ((webgl.containsApple || webgl.gpuVendor === 'apple') && !APPLE_OS.includes(claimed)) {
+    conflicts.push({
+      type: CONSISTENCY_VERDICT.SPOOFING,
+      claim: claimed,
+      evidence: `Apple GPU · ${evidence}`
+    });
+  }
+  if (/direct3d|d3d1[01]/.test(renderer) && claimed !== 'Windows') {
+    conflicts.push({
+      type: CONSISTENCY_VERDICT.SPOOFING,
+      claim: claimed,
+      evidence: `Direct3D后端 · ${evidence}`
+    });
+  }
+  if (['nvidia', 'amd'].includes(webgl.gpuVendor) && MOBILE_OS.includes(claimed)) {
+    conflicts.push({
+      type: CONSISTENCY_VERDICT.SPOOFING,
+      claim: claimed,
+      evidence: `桌面独立显卡 (${webgl.gpuVendor}) · ${evidence}`
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * 比对Apple专有API与UA声明
+ * @param {string} claimed UA声明的操作系统
+ * @param {Object} signals 全部信号
+ * @returns {Array<Object>} 冲突列表
+ */
+function checkAppleAPIs(claimed, signals) {
+  const { apple } = signals;
+  if (!apple) {
+    return [];
+  }
+
+  const conflicts = [];
+  if (apple.applePay && !APPLE_OS.includes(claimed)) {
+    conflicts.push({
+      type: CONSISTENCY_VERDICT.SPOOFING,
+      claim: claimed,
+      evidence: 'ApplePaySession 可用'
+    });
+  }
+  if (apple.safariPush && claimed !== 'macOS') {
+    conflicts.push({
+      type: CONSISTENCY_VERDICT.SPOOFING,
+      claim: claimed,
+      evidence: 'safari.pushNotification 可用（仅macOS Safari）'
+    });
+  }
+  return conflicts;
+}
+
+/**
+ * 比对编解码能力与UA声明
+ * iOS/iPadOS上所有浏览器都基于WebKit，必然支持HEVC解码
+ * @param {string} claimed UA声明的操作系统
+ * @param {Object} signals 全部信号
+ * @returns {Object|null} 冲突
+ */
+function checkCodecs(claimed, signals) {
+  if (['iOS', 'iPadOS'].includes(claimed) && signals.media?.hevc === false) {
+    return {
+      type: CONSISTENCY_VERDICT.SPOOFING,
+      claim: claimed,
+      evidence: '不支持HEVC解码（iOS/iPadOS均支持）'
+    };
+  }
+  return null;
+}
+
+/**
+ * 比对触摸/指针能力与UA声明
+ * 移动设备UA出现在无触摸、精细指针、可悬停的设备上，通常是开发者工具的设备模拟
+ * @param {string} claimed UA声明的操作系统
+ * @param {Object} signals 全部信号
+ * @returns {Object|null} 冲突
+ */
+function checkTouch(claimed, signals) {
+  const { basic } = signals;
+  if (!basic || !MOBILE_OS.includes(claimed)) {
+    return null;
+  }
+  if (basic.touchPoints === 0 && basic.fine && basic.hover) {
+    return {
+      type: CONSISTENCY_VERDICT.EMULATION,
+      claim: claimed,
+      evidence: 'maxTouchPoints=0，主指针精细且可悬停'
+    };
+  }
+  return null;
+}
+
+/**
+ * 检查UA声明与硬件信号的一致性
+ * @param {Object} signals 全部信号（含推断结果）
+ * @returns {Object} 检查结果 { claimedOS, verdict, conflicts }
+ */
+export function checkConsistency(signals) {
+  const claimedOS = getClaimedOS(signals);
+  if (!claimedOS) {
+    return { claimedOS, verdict: CONSISTENCY_VERDICT.CONSISTENT, conflicts: [] };
+  }
+
+  const conflicts = [
+    checkClientHints(claimedOS, signals),
+    checkPlatform(claimedOS, signals),
+    ...checkGPU(claimedOS, signals),
+    ...checkAppleAPIs(claimedOS, signals),
+    checkCodecs(claimedOS, signals),
+    checkTouch(claimedOS, signals)
+  ].filter(Boolean);
+
+  const priority = [
+    CONSISTENCY_VERDICT.SPOOFING,
+    CONSISTENCY_VERDICT.UA_OVERRIDE,
+    CONSISTENCY_VERDICT.EMULATION
+  ];
+  const verdict =
+    priority.find(type => conflicts.some(conflict => conflict.type === type)) ||
+    CONSISTENCY_VERDICT.CONSISTENT;
+
+  return { claimedOS, verdict, conflicts };
+}
+
+/**
+ * 生成一致性检查说明
+ * @param {Object} consistency 检查结果
+ * @returns {string}
+ */
+export function describeConsistency(consistency) {
+  if (!consistency.conflicts.length) {
+    return `User-Agent声明 ${consistency.claimedOS || '未知'}，未发现矛盾信号`;
+  }
+  const lines = consistency.conflicts.map(
+    ({ claim, evidence }) => `· UA声明 ${claim} ⟷ ${evidence}`
+  );
+  return `${VERDICT_LABELS[consistency.verdict]}\n${lines.join('\n')}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * 设备类型检测模块
+ * 基于指针/悬停媒体查询、屏幕尺寸、触摸点、屏幕方向和User-Agent提示区分设备形态
+ */
+
+/**
+ * 支持识别的设备类型
+ * @type {Array<string>}
+ */
+export const DEVICE_CLASSES = ['phone', 'tablet', 'touch laptop', 'desktop', 'TV', 'XR'];
+
+/**
+ * 平板屏幕短边的CSS像素范围
+ * 手机短边通常小于600，iPad与Android平板在600~1100之间
+ */
+export const TABLET_SHORT_SIDE = [600, 1100];
+
+/**
+ * User-Agent中的设备形态标识
+ */
+const UA_HINTS = {
+  mobile: /mobi|iphone|ipod/i,
+  tablet: /ipad|tablet|playbook|silk|android(?!.*mobi)/i,
+  tv: /smart-?tv|hbbtv|appletv|googletv|android tv|tizen.+tv|web0s|webos|netcast|bravia|aft[a-z]|crkey/i,
+  xr: /oculusbrowser|quest|pico|visionos|mobile vr|xr-spatial/i
+};
+
+/**
+ * 从User-Agent中提取设备形态标识
+ * 在计分时由 userAgent 信号派生，修改 User-Agent 后随之更新
+ * @param {string} [userAgent] User-Agent字符串
+ * @returns {{mobile: boolean, tablet: boolean, tv: boolean, xr: boolean}}
+ */
+export function getUAHints(userAgent = '') {
+  return {
+    mobile: UA_HINTS.mobile.test(userAgent),
+    tablet: UA_HINTS.tablet.test(userAgent),
+    tv: UA_HINTS.tv.test(userAgent),
+    xr: UA_HINTS.xr.test(userAgent)
+  };
+}
+
+/**
+ * 检测是否支持沉浸式VR会话
+ * @returns {Promise<boolean|null>} 不支持WebXR时返回null
+ */
+async function checkImmersiveVR() {
+  if (!('xr' in navigator) || typeof navigator.xr.isSessionSupported !== 'function') {
+    return null;
+  }
+
+  try {
+    return await navigator.xr.isSessionSupported('immersive-vr');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 收集设备类型信号
+ * User-Agent 形态标识（uaHints）不在此采集，由 getUAHints() 在计分时派生
+ * @returns {Promise<Object>} 设备类型信号
+ */
+export async function getDeviceClassSignals() {
+  const width = screen.width || 0;
+  const height = screen.height || 0;
+
+  return {
+    pointerNone: matchMedia('(pointer: none)').matches,
+    anyCoarse: matchMedia('(any-pointer: coarse)').matches,
+    anyFine: matchMedia('(any-pointer: fine)').matches,
+    hoverNone: matchMedia('(hover: none)').matches,
+    anyHover: matchMedia('(any-hover: hover)').matches,
+    shortSide: Math.min(width, height),
+    longSide: Math.max(width, height),
+    orientationType: screen.orientation ? screen.orientation.type : null,
+    webXR: 'xr' in navigator,
+    immersiveVR: await checkImmersiveVR()
+  };
+}
+
+/**
+ * 判断屏幕短边是否落在平板范围内
+ * @param {Object} deviceClass 设备类型信号
+ * @returns {boolean}
+ */
+export function isTabletSized(deviceClass) {
+  const [min, max] = TABLET_SHORT_SIDE;
+  return deviceClass.shortSide >= min && deviceClass.shortSide <= max;
+}
+
+/**
+ * 格式化操作系统与设备类型标签
+ * @param {string} osLabel 操作系统标签
+ * @param {Object} deviceClass 设备类型结果
+ * @returns {string} 如 "Android · tablet"
+ */
+export function formatDeviceLabel(osLabel, deviceClass) {
+  if (!deviceClass || deviceClass.confidence === 0) {
+    return osLabel;
+  }
+  return `${osLabel} · ${deviceClass.name}`;
+}
@@ -0,0 +1,185 @@
+/**
+ * 设备机型识别模块
+ * 按屏幕CSS像素尺寸、设备像素比和安全区域匹配已知机型
+ *
+ * 机型库随代码发布，也可以通过 engine.loadDeviceModels() 替换为更新的版本，
+ * 格式与 DEVICE_MODEL_DB 相同
+ */
+
+import { IPAD_SCREENS } from './ipad.js';
+
+/**
+ * 设备机型条目
+ * @typedef {Object} DeviceModel
+ * @property {string} name 机型名称，同一屏幕规格的多个机型用 " / " 连接
+ * @property {Array<number>} screen 屏幕CSS像素尺寸 [短边, 长边]
+ * @property {number} dpr 设备像素比
+ * @property {string|null} os 操作系统，通用面板为null
+ * @property {string} form 设备形态：'phone'、'tablet' 或 'desktop'
+ * @property {boolean|null} [homeIndicator] 是否有圆角屏幕和Home指示条（安全区域非零），null表示同一规格两者都有
+ * @property {boolean} [generic] 通用面板规格，大量机型共用，匹配时置信度较低
+ */
+
+/**
+ * 内置机型库
+ * @type {{version: string, models: Array<DeviceModel>}}
+ */
+export const DEVICE_MODEL_DB = {
+  version: '2024.09',
+  models: [
+    // iPhone
+    { name: 'iPhone SE (第1代) / 5s', screen: [320, 568], dpr: 2, os: 'iOS', form: 'phone', homeIndicator: false },
+    { name: 'iPhone SE (第2/3代) / 8 / 7 / 6s', screen: [375, 667], dpr: 2, os: 'iOS', form: 'phone', homeIndicator: false },
+    { name: 'iPhone 8 Plus / 7 Plus / 6s Plus', screen: [414, 736], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: false },
+    { name: 'iPhone 13 mini / 12 mini / 11 Pro / XS / X', screen: [375, 812], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 11 / XR', screen: [414, 896], dpr: 2, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 11 Pro Max / XS Max', screen: [414, 896], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 14 / 13 / 13 Pro / 12 / 12 Pro', screen: [390, 844], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 14 Plus / 13 Pro Max / 12 Pro Max', screen: [428, 926], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 16 / 15 Pro / 15 / 14 Pro', screen: [393, 852], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 16 Plus / 15 Pro Max / 15 Plus / 14 Pro Max', screen: [430, 932], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 16 Pro', screen: [402, 874], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+    { name: 'iPhone 16 Pro Max', screen: [440, 956], dpr: 3, os: 'iOS', form: 'phone', homeIndicator: true },
+
+    // iPad（与iPad桌面模式识别共用屏幕表）
+    ...IPAD_SCREENS.map(({ size, models }) => ({
+      name: models,
+      screen: size,
+      dpr: 2,
+      os: 'iPadOS',
+      form: 'tablet',
+      homeIndicator: null
+    })),
+
+    // Android手机
+    { name: 'Pixel 8 / 7 / 7a / 6', screen: [412, 915], dpr: 2.625, os: 'Android', form: 'phone' },
+    { name: 'Pixel 7 Pro / 6 Pro', screen: [412, 892], dpr: 3.5, os: 'Android', form: 'phone' },
+    { name: 'Pixel 8 Pro', screen: [448, 998], dpr: 3, os: 'Android', form: 'phone' },
+    { name: 'Galaxy S20 Ultra', screen: [412, 915], dpr: 3.5, os: 'Android', form: 'phone' },
+    { name: 'Galaxy S21 / S20', screen: [360, 800], dpr: 3, os: 'Android', form: 'phone' },
+    { name: 'Galaxy S23 / S22', screen: [360, 780], dpr: 3, os: 'Android', form: 'phone' },
+    { name: 'Galaxy S9 / S8 / S8+', screen: [360, 740], dpr: 4, os: 'Android', form: 'phone' },
+    { name: 'Galaxy A71 / A51', screen: [412, 914], dpr: 2.625, os: 'Android', form: 'phone' },
+
+    // 笔记本和平板电脑（默认缩放）
+    { name: 'MacBook Air 13" (M1) / MacBook Pro 13"', screen: [900, 1440], dpr: 2, os: 'macOS', form: 'desktop' },
+    { name: 'MacBook Air 13" (M2/M3)', screen: [956, 1470], dpr: 2, os: 'macOS', form: 'desktop' },
+    { name: 'MacBook Air 15"', screen: [1107, 1710], dpr: 2, os: 'macOS', form: 'desktop' },
+    { name: 'MacBook Pro 14"', screen: [982, 1512], dpr: 2, os: 'macOS', form: 'desktop' },
+    { name: 'MacBook Pro 16"', screen: [1117, 1728], dpr: 2, os: 'macOS', form: 'desktop' },
+    { name: 'Surface Pro 4~7', screen: [912, 1368], dpr: 2, os: 'Windows', form: 'desktop' },
+    { name: '1080p 笔记本 (125% 缩放)', screen: [864, 1536], dpr: 1.25, os: 'Windows', form: 'desktop', generic: true },
+    { name: '1080p 笔记本 (150% 缩放)', screen: [720, 1280], dpr: 1.5, os: 'Windows', form: 'desktop', generic: true },
+    { name: '1366×768 笔记本', screen: [768, 1366], dpr: 1, os: null, form: 'desktop', generic: true }
+  ]
+};
+
+/**
+ * 唯一匹配一个非通用机型条目时的置信度
+ * 同一屏幕规格的机型已合并为一个条目，剩余的不确定性来自自定义缩放和未收录的机型
+ * @type {number}
+ */
+const EXACT_CONFIDENCE = 90;
+
+/**
+ * 匹配通用面板规格时的置信度
+ * @type {number}
+ */
+const GENERIC_CONFIDENCE = 45;
+
+/**
+ * 读取CSS安全区域
+ * 页面需要设置 viewport-fit=cover；Safari竖屏浏览时顶部安全区域由浏览器界面占用，可能为0
+ * @returns {Object|null} { top, right, bottom, left }（CSS像素），无法读取时返回null
+ */
+export function getSafeAreaInsets() {
+  if (!document.body || typeof getComputedStyle !== 'function') {
+    return null;
+  }
+
+  const probe = document.createElement('div');
+  probe.style.cssText = 'position:fixed;top:0;left:0;visibility:hidden;pointer-events:none;' +
+    'padding:env(safe-area-inset-top) env(safe-area-inset-right) env(safe-area-inset-bottom) env(safe-area-inset-left)';
+  document.body.appendChild(probe);
+
+  try {
+    const style = getComputedStyle(probe);
+    return {
+      top: parseFloat(style.paddingTop) || 0,
+      right: parseFloat(style.paddingRight) || 0,
+      bottom: parseFloat(style.paddingBottom) || 0,
+      left: parseFloat(style.paddingLeft) || 0
+    };
+  } finally {
+    probe.remove();
+  }
+}
+
+/**
+ * 判断安全区域是否非零
+ * @param {Object|null} safeArea 安全区域
+ * @returns {boolean}
+ */
+const hasSafeArea = safeArea => Boolean(safeArea) && Object.values(safeArea).some(inset => inset > 0);
+
+/**
+ * 按屏幕、DPR和安全区域匹配机型
+ * 安全区域非零时排除没有Home指示条的机型；安全区域为0不作为证据
+ * @param {Object} display 显示信号 { screen, dpr, safeArea }
+ * @param {Array<DeviceModel>} [models] 机型库
+ * @returns {Object} { matched, best, confidence, os, form, candidates: [{ name, os, form, confidence }] }
+ */
+export function matchDeviceModel(display, models = DEVICE_MODEL_DB.models) {
+  const result = { matched: false, best: null, confidence: 0, os: null, form: null, candidates: [] };
+  if (!Array.isArray(display?.screen)) {
+    return result;
+  }
+
+  const [short, long] = [...display.screen].sort((a, b) => a - b);
+  const safeArea = hasSafeArea(display.safeArea);
+  const matches = models.filter(model =>
+    model.screen[0] === short &&
+    model.screen[1] === long &&
+    Math.abs(model.dpr - display.dpr) < 0.01 &&
+    !(safeArea && model.homeIndicator === false));
+
+  if (!matches.length) {
+    return result;
+  }
+
+  result.candidates = matches.map(model => ({
+    name: model.name,
+    os: model.os,
+    form: model.form,
+    confidence: Math.round((model.generic ? GENERIC_CONFIDENCE : EXACT_CONFIDENCE) / matches.length)
+  }));
+  const [best] = [...result.candidates].sort((a, b) => b.confidence - a.confidence);
+
+  return {
+    ...result,
+    matched: true,
+    best: best.name,
+    confidence: best.confidence,
+    os: best.os,
+    form: best.form
+  };
+}
+
+/**
+ * 生成机型匹配说明
+ * @param {Object} deviceModel 匹配结果
+ * @param {Object} display 显示信号
+ * @returns {string} 如 "可能是 iPhone 16 / 15 Pro / 15 / 14 Pro (90%) · 393×852 @3x · 安全区域 47/0/34/0"
+ */
+export function describeDeviceModel(deviceModel, display) {
+  const metrics = `${display.screen.join('×')} @${display.dpr}x`;
+  const insets = display.safeArea
+    ? ` · 安全区域 ${[display.safeArea.top, display.safeArea.right, display.safeArea.bottom, display.safeArea.left].join('/')}`
+    : '';
+  const others = deviceModel.candidates
+    .filter(candidate => candidate.name !== deviceModel.best)
+    .map(candidate => `${candidate.name} (${candidate.confidence}%)`);
+
+  return `可能是 ${deviceModel.best} (${deviceModel.confidence}%) · ${metrics}${insets}` +
+    `${others.length ? ` · 其他: ${others.join('、')}` : ''}`;
+}
@@ -3,57 +3,104 @@
  * 整合各种检测模块，执行设备识别逻辑
  */
 
-import { getWebGLInfo, containsApple, isAngleMetal, getGPUVendor } from './webgl.js';
+import { EventEmitter } from '../utils/emitter.js';
+
+import {
+  getWebGLInfo,
+  deriveWebGLSignal,
+  getWebGLProfile,
+  parseRenderer
+} from './webgl.js';
+import { getWebGPUInfo } from './webgpu.js';
+import { detectFonts } from './fonts.js';
+import { getSpeechVoices } from './speech.js';
+import { getHardwareProfile } from './hardware.js';
 import { checkNFCCapabilities, hasNFCSupport, getNFCDetails } from './nfc.js';
-import { checkMediaCapabilities, getSupportedAudioFormats, getSupportedVideoFormats } from './media.js';
-import { addStep, updateConfidence, updateScoreBoard } from '../utils/dom.js';
+import { checkEncodingCapabilities, checkKeySystems, checkMediaCapabilities } from './media.js';
+import { getClientHints } from './uach.js';
+import {
+  BROWSERS,
+  BROWSER_ENGINES,
+  getBrowserFeatures,
+  getBrowserVersion,
+  parseBrowserUA
+} from './browser.js';
+import { DEVICE_CLASSES, getDeviceClassSignals, getUAHints } from './device-class.js';
+import { resolveIPadDesktopMode } from './ipad.js';
+import { DEVICE_MODEL_DB, getSafeAreaInsets, matchDeviceModel } from './device-models.js';
+import {
+  checkConsistency,
+  describeConsistency,
+  CONSISTENCY_VERDICT,
+  VERDICT_LABELS
+} from './consistency.js';
+import { detectOSVersion, formatOSVersion, VERSION_STATE } from './version.js';
+import { DEFAULT_RULES } from './rules.js';
+import { combineEvidence, getRuleEvidence, normalizePosterior } from './likelihood.js';
 
 /**
- * 操作系统评分系统
+ * 通用评分系统
+ * 为一组候选项（操作系统、浏览器、渲染引擎等）累计分数，
+ * 同时累计各候选项的对数似然，用于计算后验概率分布
  */
-class OSScoreSystem {
-  constructor() {
-    this.scores = {
-      'macOS': 0,
-      'Windows': 0,
-      'Linux': 0,
-      'iOS': 0,
-      'iPadOS': 0,
-      'Android': 0
-    };
+class ScoreSystem {
+  /**
+   * @param {Array<string>} candidates 候选项列表
+   */
+  constructor(candidates) {
+    this.candidates = [...candidates];
+    this.scores = Object.fromEntries(candidates.map(candidate => [candidate, 0]));
+    // 各规则的对数似然，计算后验时按采集器合并
+    this.evidence = [];
   }
 
   /**
    * 添加分数
-   * @param {Array<string>} targets 目标操作系统列表
-   * @param {number} weight 权重分数
+   * @param {Array<string>} targets 目标候选项列表
+   * @param {number} weight 权重分数，负数表示排除性证据
    */
   addScore(targets, weight) {
     targets.forEach(target => {
-      if (this.scores.hasOwnProperty(target)) {
+      if (Object.prototype.hasOwnProperty.call(this.scores, target)) {
         this.scores[target] += weight;
       }
     });
   }
 
   /**
-   * 获取最高分操作系统
-   * @returns {Object} 包含操作系统名称和置信度的对象
+   * 累计一条规则的似然证据
+   * @param {Object} rule 检测规则
+   * @param {boolean} fired 规则是否触发
+   * @param {number} [weight] 规则权重，仅触发时提供
    */
-  getTopOS() {
-    const maxScore = Math.max(...Object.values(this.scores));
-    const totalScore = Object.values(this.scores).reduce((a, b) => a + b, 0);
-
-    if (maxScore === 0 || totalScore === 0) {
-      return { os: '未知', confidence: 0 };
+  addEvidence(rule, fired, weight) {
+    const evidence = getRuleEvidence(rule, fired, weight, this.candidates);
+    if (evidence) {
+      this.evidence.push({ collector: rule.collector, evidence });
     }
+  }
 
-    const topOS = Object.entries(this.scores)
-      .find(([_, score]) => score === maxScore)[0];
+  /**
+   * 获取后验概率分布
+   * @returns {Object} 以候选项为键的概率，总和为1；没有任何证据时为均匀分布
+   */
+  getProbabilities() {
+    return normalizePosterior(combineEvidence(this.evidence, this.candidates));
+  }
 
-    const confidence = Math.round((maxScore / totalScore) * 100);
+  /**
+   * 获取后验概率最高的候选项
+   * @returns {Object} 包含候选项名称和置信度的对象 { name, confidence }
+   */
+  getTop() {
+    if (this.evidence.length === 0) {
+      return { name: '未知', confidence: 0 };
+    }
 
-    return { os: topOS, confidence };
+    const [name, probability] = Object.entries(this.getProbabilities())
+      .reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+
+    return { name, confidence: Math.round(probability * 100) };
   }
 
   /**
@@ -65,95 +112,775 @@ class OSScoreSystem {
   }
 }
 
+/**
+ * 操作系统评分系统
+ */
+class OSScoreSystem extends ScoreSystem {
+  constructor() {
+    super(['macOS', 'Windows', 'Linux', 'iOS', 'iPadOS', 'Android']);
+  }
+
+  /**
+   * 获取最高分操作系统
+   * @returns {Object} 包含操作系统名称和置信度的对象
+   */
+  getTopOS() {
+    const { name, confidence } = this.getTop();
+    return { os: name, confidence };
+  }
+}
+
+/**
+ * 评分维度
+ * @type {Array<string>}
+ */
+const SCORE_AXES = ['os', 'browser', 'engine', 'deviceClass'];
+
+/**
+ * 创建各评分维度的评分系统
+ * @returns {Object} 以维度名称为键的评分系统
+ */
+function createScoreSystems() {
+  return {
+    os: new OSScoreSystem(),
+    browser: new ScoreSystem(BROWSERS),
+    engine: new ScoreSystem(BROWSER_ENGINES),
+    deviceClass: new ScoreSystem(DEVICE_CLASSES)
+  };
+}
+
+/**
+ * 解析规则字段，字段可以是固定值或基于信号的计算函数
+ * @param {*} field 规则字段
+ * @param {Object} signal 规则所属采集器的信号
+ * @param {Object} signals 全部信号
+ * @returns {*}
+ */
+function resolveRuleField(field, signal, signals) {
+  return typeof field === 'function' ? field(signal, signals) : field;
+}
+
+/**
+ * 生成未触发规则的检测步骤
+ * 动态描述和权重依赖触发时的信号，未触发时只展示静态字段
+ * @param {Object} rule 检测规则
+ * @returns {Object} 检测步骤
+ */
+function createUnfiredStep(rule) {
+  return {
+    ruleId: rule.id,
+    ok: false,
+    title: rule.title || rule.id,
+    detail: typeof rule.description === 'string' ? rule.description : undefined,
+    weight: typeof rule.weight === 'number' ? rule.weight : undefined,
+    targets: rule.targets
+  };
+}
+
+/**
+ * 生成已触发规则的检测步骤
+ * @param {Object} rule 检测规则
+ * @param {Object} signal 规则所属采集器的信号
+ * @param {Object} signals 全部信号
+ * @param {number} weight 已解析的权重
+ * @returns {Object} 检测步骤
+ */
+function createFiredStep(rule, signal, signals, weight) {
+  return {
+    ruleId: rule.id,
+    ok: true,
+    title: rule.title || rule.id,
+    detail: resolveRuleField(rule.description, signal, signals),
+    weight,
+    targets: rule.targets
+  };
+}
+
+/**
+ * 生成系统版本步骤
+ * @param {string} os 操作系统家族名称
+ * @param {Object} version 版本结果
+ * @returns {Object} 检测步骤
+ */
+function createVersionStep(os, version) {
+  const detail = version.state === VERSION_STATE.UNKNOWN
+    ? '没有可用的版本信息'
+    : `${version.detail} · 来源: ${version.source} · 版本置信度 ${version.confidence}%`;
+
+  return {
+    ruleId: 'version',
+    ok: version.state === VERSION_STATE.DETECTED,
+    title: `系统版本: ${formatOSVersion(os, version)}`,
+    detail
+  };
+}
+
+/**
+ * 汇总浏览器和渲染引擎识别结果
+ * @param {Object} scoreSystems 各维度评分系统
+ * @param {Object} signals 全部信号
+ * @returns {Object} { name, version, confidence, engine, engineConfidence }
+ */
+function resolveBrowser(scoreSystems, signals) {
+  const browser = scoreSystems.browser.getTop();
+  const engine = scoreSystems.engine.getTop();
+
+  return {
+    name: browser.name,
+    version: getBrowserVersion(browser.name, signals),
+    confidence: browser.confidence,
+    engine: engine.name,
+    engineConfidence: engine.confidence
+  };
+}
+
+/**
+ * 生成浏览器识别步骤
+ * @param {Object} browser 浏览器识别结果
+ * @returns {Object} 检测步骤
+ */
+function createBrowserStep(browser) {
+  return {
+    ruleId: 'browser',
+    ok: browser.confidence > 0,
+    title: `浏览器: ${browser.name}${browser.version ? ` ${browser.version}` : ''}`,
+    detail: `浏览器置信度 ${browser.confidence}% · 渲染引擎: ${browser.engine} (${browser.engineConfidence}%)`
+  };
+}
+
+/**
+ * 生成设备类型步骤
+ * @param {Object} deviceClass 设备类型结果 { name, confidence }
+ * @returns {Object} 检测步骤
+ */
+function createDeviceClassStep(deviceClass) {
+  return {
+    ruleId: 'deviceClass',
+    ok: deviceClass.confidence > 0,
+    title: `设备类型: ${deviceClass.name}`,
+    detail: `设备类型置信度 ${deviceClass.confidence}%`
+  };
+}
+
+/**
+ * 生成一致性检查步骤
+ * @param {Object} consistency 一致性检查结果
+ * @returns {Object} 检测步骤
+ */
+function createConsistencyStep(consistency) {
+  return {
+    ruleId: 'consistency',
+    ok: consistency.verdict === CONSISTENCY_VERDICT.CONSISTENT,
+    title: `一致性检查: ${VERDICT_LABELS[consistency.verdict]}`,
+    detail: describeConsistency(consistency)
+  };
+}
+
+/**
+ * 生成原始信号快照步骤
+ * @param {Object} signals 全部信号
+ * @returns {Object} 检测步骤
+ */
+function createSignalSnapshotStep(signals) {
+  return {
+    ruleId: 'snapshot',
+    ok: true,
+    title: '原始信号快照',
+    detail: JSON.stringify(signals, null, 2)
+  };
+}
+
+/**
+ * 检测器运行状态
+ */
+export const DETECTOR_STATUS = {
+  OK: 'ok',
+  TIMEOUT: 'timeout',
+  ERROR: 'error',
+  UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * 检测器运行状态说明文字
+ */
+export const DETECTOR_STATUS_LABELS = {
+  [DETECTOR_STATUS.OK]: '正常',
+  [DETECTOR_STATUS.TIMEOUT]: '超时',
+  [DETECTOR_STATUS.ERROR]: '出错',
+  [DETECTOR_STATUS.UNSUPPORTED]: '不支持'
+};
+
+/**
+ * 检测器默认超时时间（毫秒）
+ * @type {number}
+ */
+export const DEFAULT_DETECTOR_TIMEOUT = 3000;
+
+/**
+ * 超时标记
+ */
+const TIMED_OUT = Symbol('timeout');
+
+/**
+ * 获取当前时间（毫秒），用于计算检测器耗时
+ * @returns {number}
+ */
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * 判断采集结果是否表示浏览器不支持该检测
+ * 采集函数返回null，或信号中的 available/supported 为 false
+ * @param {*} signal 采集结果
+ * @returns {boolean}
+ */
+function isUnsupportedSignal(signal) {
+  return signal === null || signal === undefined ||
+    signal.available === false || signal.supported === false;
+}
+
+/**
+ * 运行单个信号采集器
+ * 每个采集器有独立的超时和异常处理，失败不影响其他采集器；
+ * 超时的采集器会在后台继续运行，但结果不再被使用
+ * @param {Object} detector 采集器 { id, collect, timeout }
+ * @returns {Promise<Object>} { signal, timing: { id, status, duration, error } }
+ */
+async function runDetector({ id, collect, timeout = DEFAULT_DETECTOR_TIMEOUT }) {
+  const startedAt = now();
+  let timer = null;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(TIMED_OUT), timeout);
+  });
+  const finish = (status, signal, error = null) => ({
+    signal,
+    timing: { id, status, duration: Math.round(now() - startedAt), error }
+  });
+
+  try {
+    const signal = await Promise.race([Promise.resolve().then(collect), deadline]);
+    if (signal === TIMED_OUT) {
+      console.warn(`检测器 ${id} 超时`);
+      return finish(DETECTOR_STATUS.TIMEOUT, undefined, `超过 ${timeout}ms 未完成`);
+    }
+    const status = isUnsupportedSignal(signal) ? DETECTOR_STATUS.UNSUPPORTED : DETECTOR_STATUS.OK;
+    return finish(status, signal ?? undefined);
+  } catch (error) {
+    console.warn(`检测器 ${id} 出错:`, error);
+    return finish(DETECTOR_STATUS.ERROR, undefined, error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 读取信号快照
+ * 支持“原始信号快照”步骤输出的信号对象，以及包裹在 { signals } 中的记录（如校准语料的一行）
+ * @param {string|Object} snapshot 快照JSON字符串或对象
+ * @returns {Object} 以采集器ID为键的信号对象
+ */
+function readSnapshot(snapshot) {
+  const parsed = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  const signals = parsed && parsed.signals && typeof parsed.signals === 'object'
+    ? parsed.signals
+    : parsed;
+
+  if (!signals || typeof signals !== 'object' || Array.isArray(signals)) {
+    throw new Error('无效的信号快照');
+  }
+  return signals;
+}
+
+/**
+ * 派生信号字段
+ * 原始信号只保存采集到的原始值，由原始值推导出的字段在计分时重新计算，
+ * 这样在信号编辑器中修改渲染器字符串或 User-Agent 后，派生字段随之更新。
+ * requires 为派生时读取的其他采集器
+ * @type {Array<{id: string, requires: Array<string>, derive: function(Object, Object): Object}>}
+ */
+const SIGNAL_DERIVATIONS = [
+  { id: 'webgl', requires: [], derive: webgl => deriveWebGLSignal(webgl) },
+  {
+    id: 'browser',
+    requires: ['userAgent'],
+    derive: (browser, signals) => ({ ...browser, ua: parseBrowserUA(signals.userAgent?.ua) })
+  },
+  {
+    id: 'deviceClass',
+    requires: ['userAgent'],
+    derive: (deviceClass, signals) => ({ ...deviceClass, uaHints: getUAHints(signals.userAgent?.ua) })
+  },
+  {
+    id: 'nfc',
+    requires: ['userAgent'],
+    derive: (nfc, signals) => ({
+      ...nfc,
+      inferredSupport: hasNFCSupport(signals.userAgent?.ua, nfc.hasAPI),
+      details: getNFCDetails(signals.userAgent?.ua, nfc.apiType)
+    })
+  }
+];
+
+/**
+ * 为信号补充派生字段
+ * 派生出错的采集器不写入结果，依赖它的规则不参与计分
+ * @param {Object} signals 以采集器ID为键的原始信号对象
+ * @param {Array<Object>} [errors] 用于记录出错的派生 { id, stage: 'resolver', error }
+ * @returns {Object} 新信号对象，不修改原始信号
+ */
+function deriveSignals(signals, errors = []) {
+  const derived = { ...signals };
+  SIGNAL_DERIVATIONS.forEach(({ id, derive }) => {
+    if (!derived[id]) {
+      return;
+    }
+    try {
+      derived[id] = derive(derived[id], derived);
+    } catch (error) {
+      console.warn(`信号 ${id} 派生出错:`, error);
+      delete derived[id];
+      errors.push({ id, stage: 'resolver', error: error.message });
+    }
+  });
+  return derived;
+}
+
+/**
+ * 记录规则判定过程中读取的信号键
+ * 规则多用可选链读取其他采集器的信号（如 signals.clientHints?.platform），
+ * 信号缺失时不会抛出异常，只能通过实际读取的键判断规则依赖哪些采集器
+ * @param {Object} signals 以采集器ID为键的信号对象
+ * @returns {{signals: Object, accessed: Set<string>}} 代理后的信号对象和已读取的键
+ */
+function trackSignalAccess(signals) {
+  const accessed = new Set();
+  const record = key => {
+    if (typeof key === 'string') {
+      accessed.add(key);
+    }
+  };
+  const proxy = new Proxy(signals, {
+    get(target, key, receiver) {
+      record(key);
+      return Reflect.get(target, key, receiver);
+    },
+    has(target, key) {
+      record(key);
+      return Reflect.has(target, key);
+    }
+  });
+  return { signals: proxy, accessed };
+}
+
 /**
  * 主检测引擎
+ * 引擎本身不操作DOM，检测过程通过事件对外通知：
+ * - `progress`：{ detector, completed, total, status, duration } 每个采集器完成（或超时、出错）后触发
+ * - `step`：{ ruleId, ok, title, detail, weight, targets, provisional } 每产生一个检测步骤触发，
+ *   采集阶段的预览步骤带有 provisional: true
+ * - `evaluate`：{ signals } 开始计分时触发，此后的 step 事件为正式步骤，可替换之前的预览步骤
+ * - `result`：完整检测结果，见 evaluate()
  */
-export class DeviceDetectionEngine {
+export class DeviceDetectionEngine extends EventEmitter {
   constructor() {
+    super();
     this.scoreSystem = new OSScoreSystem();
-    this.signals = {
-      basic: {},
-      apple: {},
-      android: {},
-      desktop: {},
-      display: {}
+    this.signals = {};
+    this.timings = [];
+
+    // 信号采集器，彼此独立、并发执行，结果按此顺序写入 signals[id]；timeout 为该采集器的超时时间（毫秒）
+    this.detectors = [
+      { id: 'basic', collect: () => this.collectBasicSignals() },
+      { id: 'apple', collect: () => this.collectAppleSignals() },
+      { id: 'android', collect: () => this.collectAndroidSignals() },
+      { id: 'desktop', collect: () => this.collectDesktopSignals() },
+      { id: 'display', collect: () => this.collectDisplaySignals() },
+      { id: 'hardware', collect: () => this.collectHardwareSignals() },
+      { id: 'webgl', collect: () => this.performWebGLDetection() },
+      { id: 'webglProfile', collect: () => this.collectWebGLProfile() },
+      { id: 'webgpu', collect: () => this.collectWebGPUSignals() },
+      { id: 'fonts', collect: () => this.collectFontSignals() },
+      { id: 'speech', collect: () => this.collectSpeechSignals() },
+      { id: 'nfc', collect: () => this.performNFCDetection() },
+      { id: 'media', collect: () => this.performMediaDetection() },
+      // 首次初始化CDM和硬件编码器可能需要数秒，单独计时，超时不影响其他媒体信号
+      { id: 'drm', collect: () => this.collectDRMSignals(), timeout: 5000 },
+      { id: 'encoding', collect: () => this.collectEncodingSignals(), timeout: 5000 },
+      { id: 'clientHints', collect: () => this.collectClientHints() },
+      { id: 'userAgent', collect: () => this.performUserAgentAnalysis() },
+      { id: 'browser', collect: () => this.collectBrowserSignals() },
+      { id: 'deviceClass', collect: () => this.collectDeviceClassSignals() }
+    ];
+
+    // 信号推断器，在计分前基于已采集的信号推导出新的信号，结果写入 signals[id]
+    this.resolvers = [
+      { id: 'gpu', resolve: signals => parseRenderer(signals.webgl?.available ? signals.webgl : null) },
+      { id: 'ipad', resolve: signals => resolveIPadDesktopMode(signals) },
+      { id: 'deviceModel', resolve: signals => matchDeviceModel(signals.display, this.deviceModels.models) },
+      { id: 'consistency', resolve: signals => checkConsistency(signals) }
+    ];
+
+    // 检测规则注册表
+    this.rules = [...DEFAULT_RULES];
+
+    // 机型库
+    this.deviceModels = DEVICE_MODEL_DB;
+  }
+
+  /**
+   * 注册扩展检测器
+   * 检测器可以提供信号采集函数或信号推断函数，也可以只为已有采集器追加规则
+   * @param {Object} detector 检测器定义
+   * @param {string} detector.id 检测器ID，同时作为信号键名
+   * @param {function(): (Object|Promise<Object>)} [detector.collect] 信号采集函数
+   * @param {number} [detector.timeout] 信号采集超时时间（毫秒），默认 DEFAULT_DETECTOR_TIMEOUT
+   * @param {function(Object): Object} [detector.resolve] 信号推断函数，基于已采集的信号同步推导
+   * @param {Array<Object>} [detector.rules] 检测规则，未指定collector时默认读取本检测器的信号
+   * @returns {DeviceDetectionEngine} 当前引擎，便于链式调用
+   */
+  registerDetector({ id, collect, resolve, timeout, rules = [] }) {
+    if (!id) {
+      throw new Error('检测器必须提供id');
+    }
+
+    if (collect || resolve) {
+      const exists = [...this.detectors, ...this.resolvers].some(detector => detector.id === id);
+      if (exists) {
+        throw new Error(`检测器已存在: ${id}`);
+      }
+      if (collect) {
+        this.detectors.push({ id, collect, timeout });
+      } else {
+        this.resolvers.push({ id, resolve });
+      }
+    }
+
+    rules.forEach(rule => {
+      if (!rule.id || typeof rule.predicate !== 'function') {
+        throw new Error(`检测器 ${id} 的规则缺少id或predicate`);
+      }
+      if (rule.axis && !SCORE_AXES.includes(rule.axis)) {
+        throw new Error(`规则 ${rule.id} 的评分维度无效: ${rule.axis}`);
+      }
+      this.rules.push({ collector: id, targets: [], ...rule });
+    });
+
+    return this;
+  }
+
+  /**
+   * 加载校准后的规则权重和似然表（由 scripts/calibrate.js 生成）
+   * 只覆盖规则的 weight 和 likelihoods 字段，未出现在权重文件中的规则保持不变
+   * @param {Object} weights 权重文件内容
+   * @param {Object<string, {weight?: number, likelihoods?: Object}>} weights.rules 以规则ID为键的覆盖值
+   * @returns {DeviceDetectionEngine} 当前引擎，便于链式调用
+   */
+  loadWeights({ rules = {} } = {}) {
+    const known = new Set(this.rules.map(rule => rule.id));
+    Object.keys(rules)
+      .filter(id => !known.has(id))
+      .forEach(id => console.warn(`权重文件中的规则不存在: ${id}`));
+
+    this.rules = this.rules.map(rule => {
+      const override = rules[rule.id];
+      if (!override) {
+        return rule;
+      }
+
+      const calibrated = { ...rule };
+      if (typeof override.weight === 'number') {
+        calibrated.weight = override.weight;
+      }
+      if (override.likelihoods) {
+        calibrated.likelihoods = { ...override.likelihoods };
+      }
+      return calibrated;
+    });
+
+    return this;
+  }
+
+  /**
+   * 加载机型库
+   * 替换内置的机型库，格式与 DEVICE_MODEL_DB 相同
+   * @param {Object} db 机型库 { version, models }
+   * @returns {DeviceDetectionEngine} 当前引擎，便于链式调用
+   */
+  loadDeviceModels(db) {
+    const valid = Array.isArray(db?.models) && db.models.every(model =>
+      typeof model.name === 'string' && Array.isArray(model.screen) && typeof model.dpr === 'number');
+    if (!valid) {
+      throw new Error('机型库格式无效，需要 { models: [{ name, screen, dpr, ... }] }');
+    }
+
+    this.deviceModels = {
+      ...db,
+      // 屏幕尺寸统一为 [短边, 长边]
+      models: db.models.map(model => ({ ...model, screen: [...model.screen].sort((a, b) => a - b) }))
     };
+    return this;
   }
 
   /**
    * 开始检测流程
+   * 部分采集器超时或出错时，仍基于其余信号给出结论
+   * @returns {Promise<Object>} 检测结果，见 evaluate()，另含
+   *   timings（各采集器的状态和耗时）和 partial（是否有采集器超时或出错，或有规则、推断器出错）
    */
   async startDetection() {
     console.log('开始设备检测...');
 
-    // 收集基础信号
-    await this.collectBasicSignals();
+    this.signals = await this.collectSignals();
+    const evaluation = this.evaluate(this.signals);
+    const result = {
+      ...evaluation,
+      timings: this.timings,
+      partial: evaluation.errors.length > 0 || this.timings.some(({ status }) =>
+        status === DETECTOR_STATUS.TIMEOUT || status === DETECTOR_STATUS.ERROR)
+    };
 
-    // 收集Apple相关信号
-    await this.collectAppleSignals();
+    console.log('检测完成:', result.os, result.confidence);
+    return result;
+  }
 
-    // 收集Android相关信号
-    await this.collectAndroidSignals();
+  /**
+   * 重放信号快照
+   * 不访问浏览器环境，使用与实时检测完全相同的规则计分，可用于复现用户报告和回归测试
+   * @param {string|Object} snapshot 快照JSON字符串或对象
+   * @returns {Object} 检测结果，见 evaluate()
+   */
+  replay(snapshot) {
+    const signals = readSnapshot(snapshot);
+    const known = this.detectors.filter(({ id }) => id in signals);
+    if (!known.length) {
+      throw new Error('快照中没有可识别的信号');
+    }
 
-    // 收集桌面系统信号
-    await this.collectDesktopSignals();
+    this.signals = signals;
+    return this.evaluate(signals);
+  }
 
-    // 收集显示相关信号
-    await this.collectDisplaySignals();
+  /**
+   * 并发执行信号采集器
+   * 采集器之间互不依赖，同时启动，总耗时取决于最慢的一个而不是各自耗时之和；
+   * 每完成一个采集器即触发 progress 事件，并预览该采集器的规则（见 previewDetector()）。
+   * 超时或出错的采集器不写入信号，依赖它的规则不参与计分；各采集器的状态和耗时按注册顺序记录在 this.timings
+   * @returns {Promise<Object>} 以采集器ID为键的信号对象，键的顺序与采集器注册顺序一致
+   */
+  async collectSignals() {
+    const collected = {};
+    const total = this.detectors.length;
+    const timings = new Array(total);
+    let completed = 0;
 
-    // 执行WebGL检测
-    await this.performWebGLDetection();
+    await Promise.all(this.detectors.map(async (detector, index) => {
+      const { signal, timing } = await runDetector(detector);
+      if (signal !== undefined) {
+        collected[detector.id] = signal;
+      }
+      timings[index] = timing;
+      completed += 1;
+      this.emit('progress', {
+        detector: detector.id,
+        completed,
+        total,
+        status: timing.status,
+        duration: timing.duration
+      });
+      if (signal !== undefined) {
+        this.previewDetector(detector.id, collected).forEach(step => this.emit('step', step));
+      }
+    }));
 
-    // 执行NFC检测
-    await this.performNFCDetection();
+    this.timings = timings;
+    // 按注册顺序重建信号对象，保证信号快照不受完成顺序影响
+    return Object.fromEntries(this.detectors
+      .filter(({ id }) => id in collected)
+      .map(({ id }) => [id, collected[id]]));
+  }
 
-    // 执行媒体能力检测
-    await this.performMediaDetection();
+  /**
+   * 预览单个采集器的规则
+   * 用目前已采集的信号判定该采集器的规则，供界面在采集阶段实时展示；预览步骤不参与计分，
+   * 最终结论以 evaluate() 为准。
+   * 判定时读取了尚未采集（或采集失败）的信号、或推断结果的规则会被跳过，
+   * 以免可选链读到空值而预览为“未触发”；判定出错的规则同样跳过
+   * @param {string} id 采集器ID
+   * @param {Object} signals 目前已采集的信号
+   * @returns {Array<Object>} 检测步骤，均带有 provisional: true
+   */
+  previewDetector(id, signals) {
+    const pending = new Set([...this.detectors, ...this.resolvers]
+      .map(detector => detector.id)
+      .filter(key => !(key in signals)));
+    // 派生所需的信号尚未采集时，派生字段同样视为未就绪
+    SIGNAL_DERIVATIONS
+      .filter(({ requires }) => requires.some(key => pending.has(key)))
+      .forEach(derivation => pending.add(derivation.id));
+    const derived = deriveSignals(signals);
 
-    // 执行用户代理字符串分析
-    this.performUserAgentAnalysis();
+    return this.rules
+      .filter(rule => rule.collector === id)
+      .flatMap(rule => {
+        const tracked = trackSignalAccess(derived);
+        try {
+          const { step } = this.judgeRule(rule, tracked.signals);
+          if ([...tracked.accessed].some(key => pending.has(key))) {
+            return [];
+          }
+          return [{ ...step, provisional: true }];
+        } catch (e) {
+          return [];
+        }
+      });
+  }
 
-    // 计算最终结果
-    const result = this.scoreSystem.getTopOS();
-    updateConfidence(result.os, result.confidence);
-    updateScoreBoard(this.scoreSystem.getAllScores());
+  /**
+   * 执行信号推断器
+   * 先为原始信号补充派生字段（见 SIGNAL_DERIVATIONS），再依次执行推断器；
+   * 派生字段和推断结果都不写回原始信号，保证快照可以原样重放，编辑后的信号也能重新推导。
+   * 出错的推断器不写入结果，依赖它的规则不参与计分
+   * @param {Object} signals 以采集器ID为键的信号对象
+   * @param {Array<Object>} [errors] 用于记录出错的推断器 { id, stage: 'resolver', error }
+   * @returns {Object} 包含推断结果的新信号对象
+   */
+  resolveSignals(signals, errors = []) {
+    const resolved = deriveSignals(signals, errors);
+    this.resolvers.forEach(({ id, resolve }) => {
+      try {
+        resolved[id] = resolve(resolved);
+      } catch (error) {
+        console.warn(`推断器 ${id} 出错:`, error);
+        delete resolved[id];
+        errors.push({ id, stage: 'resolver', error: error.message });
+      }
+    });
+    return resolved;
+  }
 
-    // 添加信号快照
-    this.addSignalSnapshot();
+  /**
+   * 判定单条规则
+   * 判定函数、动态权重或描述抛出的异常（例如信号不完整、注册的规则有缺陷）原样抛出，由调用方跳过该规则
+   * @param {Object} rule 检测规则
+   * @param {Object} signals 全部信号
+   * @returns {Object} { ok, weight, step }
+   */
+  judgeRule(rule, signals) {
+    const signal = signals[rule.collector];
+    if (!rule.predicate(signal, signals)) {
+      return { ok: false, weight: 0, step: createUnfiredStep(rule) };
+    }
+    const weight = resolveRuleField(rule.weight, signal, signals);
+    return { ok: true, weight, step: createFiredStep(rule, signal, signals, weight) };
+  }
+
+  /**
+   * 基于已采集的信号计分
+   * 只依赖传入的信号，不访问浏览器环境
+   * @param {Object} signals 以采集器ID为键的信号对象
+   * @returns {Object} 检测结果
+   *   { os, confidence, version, browser, deviceClass, consistency, deviceModel,
+   *     scores, browserScores, engineScores, deviceClassScores,
+   *     probabilities, browserProbabilities, engineProbabilities, deviceClassProbabilities,
+   *     signals, steps, errors }
+   *   errors 为执行出错而被跳过的规则和推断器 [{ id, stage: 'rule'|'resolver', error }]
+   */
+  evaluate(signals) {
+    this.emit('evaluate', { signals });
+    const errors = [];
+    const resolved = this.resolveSignals(signals, errors);
+    const scoreSystems = createScoreSystems();
+    const steps = [];
+    const pushStep = step => {
+      steps.push(step);
+      this.emit('step', step);
+    };
+
+    this.rules.forEach(rule => {
+      const signal = resolved[rule.collector];
+      if (!signal) {
+        return;
+      }
+
+      let judgement;
+      try {
+        judgement = this.judgeRule(rule, resolved);
+      } catch (error) {
+        console.warn(`规则 ${rule.id} 出错:`, error);
+        errors.push({ id: rule.id, stage: 'rule', error: error.message });
+        return;
+      }
+
+      const scoreSystem = scoreSystems[rule.axis || 'os'];
+      if (judgement.ok) {
+        scoreSystem.addScore(rule.targets, judgement.weight);
+        scoreSystem.addEvidence(rule, true, judgement.weight);
+      } else {
+        scoreSystem.addEvidence(rule, false);
+      }
+      pushStep(judgement.step);
+    });
+
+    const top = scoreSystems.os.getTopOS();
+    const version = detectOSVersion(top.os, resolved);
+    pushStep(createVersionStep(top.os, version));
+
+    const browser = resolveBrowser(scoreSystems, resolved);
+    pushStep(createBrowserStep(browser));
+
+    const deviceClass = scoreSystems.deviceClass.getTop();
+    pushStep(createDeviceClassStep(deviceClass));
 
-    console.log('检测完成:', result);
+    const consistency = resolved.consistency ?? null;
+    const deviceModel = resolved.deviceModel ?? null;
+    if (consistency) {
+      pushStep(createConsistencyStep(consistency));
+    }
+    pushStep(createSignalSnapshotStep(signals));
+
+    this.scoreSystem = scoreSystems.os;
+    const result = {
+      ...top,
+      version,
+      browser,
+      deviceClass,
+      consistency,
+      deviceModel,
+      scores: scoreSystems.os.getAllScores(),
+      browserScores: scoreSystems.browser.getAllScores(),
+      engineScores: scoreSystems.engine.getAllScores(),
+      deviceClassScores: scoreSystems.deviceClass.getAllScores(),
+      probabilities: scoreSystems.os.getProbabilities(),
+      browserProbabilities: scoreSystems.browser.getProbabilities(),
+      engineProbabilities: scoreSystems.engine.getProbabilities(),
+      deviceClassProbabilities: scoreSystems.deviceClass.getProbabilities(),
+      signals,
+      steps,
+      errors
+    };
+
+    this.emit('result', result);
     return result;
   }
 
   /**
    * 收集基础信号
+   * @returns {Object}
    */
-  async collectBasicSignals() {
-    this.signals.basic = {
+  collectBasicSignals() {
+    return {
       touchPoints: navigator.maxTouchPoints || 0,
       coarse: matchMedia('(pointer: coarse)').matches,
       fine: matchMedia('(pointer: fine)').matches,
       hover: matchMedia('(hover: hover)').matches
     };
-
-    // 触摸设备检测
-    if (this.signals.basic.touchPoints > 0 || this.signals.basic.coarse) {
-      this.scoreSystem.addScore(['iOS', 'iPadOS', 'Android'], 2);
-      addStep({
-        ok: true,
-        title: '触摸设备特征',
-        detail: `触摸点: ${this.signals.basic.touchPoints}, 粗略指针: ${this.signals.basic.coarse}`,
-        weight: 2,
-        targets: ['iOS', 'iPadOS', 'Android']
-      });
-    }
   }
 
   /**
    * 收集Apple相关信号
+   * @returns {Object}
    */
-  async collectAppleSignals() {
-    this.signals.apple = {
+  collectAppleSignals() {
+    return {
       webkitTouchCallout: 'webkitTouchCallout' in document.documentElement.style,
       webkitOverflowScrolling: 'webkitOverflowScrolling' in document.documentElement.style,
       applePay: 'ApplePaySession' in window,
@@ -162,325 +889,168 @@ export class DeviceDetectionEngine {
       pwaStandalone: matchMedia('(display-mode: standalone)').matches ||
                     window.navigator.standalone === true
     };
-
-    // Apple Pay检测
-    if (this.signals.apple.applePay) {
-      this.scoreSystem.addScore(['iOS', 'iPadOS', 'macOS'], 8);
-      addStep({
-        ok: true,
-        title: 'Apple Pay 支持',
-        detail: 'ApplePaySession API 可用',
-        weight: 8,
-        targets: ['iOS', 'iPadOS', 'macOS']
-      });
-    }
-
-    // Webkit特有CSS属性
-    if (this.signals.apple.webkitTouchCallout || this.signals.apple.webkitOverflowScrolling) {
-      this.scoreSystem.addScore(['iOS', 'iPadOS'], 4);
-      addStep({
-        ok: true,
-        title: 'WebKit CSS 特性',
-        detail: 'webkitTouchCallout或webkitOverflowScrolling支持',
-        weight: 4,
-        targets: ['iOS', 'iPadOS']
-      });
-    }
-
-    // Safari推送通知
-    if (this.signals.apple.safariPush) {
-      this.scoreSystem.addScore(['macOS'], 6);
-      addStep({
-        ok: true,
-        title: 'Safari 推送通知',
-        detail: 'safari.pushNotification API 可用',
-        weight: 6,
-        targets: ['macOS']
-      });
-    }
   }
 
   /**
    * 收集Android相关信号
+   * @returns {Object}
    */
-  async collectAndroidSignals() {
-    this.signals.android = {
+  collectAndroidSignals() {
+    return {
       webNFC: 'NDEFReader' in window,
       nfcDetails: getNFCDetails(),
       relatedApps: 'getInstalledRelatedApps' in navigator
     };
-
-    // Related Apps API (主要用于Android PWA)
-    if (this.signals.android.relatedApps) {
-      this.scoreSystem.addScore(['Android'], 5);
-      addStep({
-        ok: true,
-        title: 'Related Apps API',
-        detail: 'getInstalledRelatedApps API 可用',
-        weight: 5,
-        targets: ['Android']
-      });
-    }
   }
 
   /**
    * 收集桌面系统信号
+   * @returns {Object}
    */
-  async collectDesktopSignals() {
-    this.signals.desktop = {
+  collectDesktopSignals() {
+    return {
       webSerial: 'serial' in navigator,
       webHID: 'hid' in navigator,
       webUSB: 'usb' in navigator
     };
-
-    // 桌面专用API
-    const desktopAPIs = Object.values(this.signals.desktop).filter(Boolean).length;
-    if (desktopAPIs > 0) {
-      this.scoreSystem.addScore(['Windows', 'macOS', 'Linux'], desktopAPIs * 2);
-      addStep({
-        ok: true,
-        title: '桌面系统API',
-        detail: `支持 ${desktopAPIs} 个桌面专用API (Serial/HID/USB)`,
-        weight: desktopAPIs * 2,
-        targets: ['Windows', 'macOS', 'Linux']
-      });
-    }
   }
 
   /**
    * 收集显示相关信号
+   * @returns {Object}
    */
-  async collectDisplaySignals() {
-    this.signals.display = {
+  collectDisplaySignals() {
+    return {
       dpr: window.devicePixelRatio || 1,
       screen: [screen.width, screen.height],
       availScreen: [screen.availWidth, screen.availHeight],
       colorDepth: screen.colorDepth,
-      orientation: screen.orientation ? screen.orientation.angle : null
+      orientation: screen.orientation ? screen.orientation.angle : null,
+      safeArea: getSafeAreaInsets()
     };
-
-    // 高DPR检测（通常用于Retina显示屏）
-    if (this.signals.display.dpr >= 2) {
-      this.scoreSystem.addScore(['macOS', 'iOS', 'iPadOS'], 3);
-      addStep({
-        ok: true,
-        title: 'Retina显示屏',
-        detail: `设备像素比: ${this.signals.display.dpr}`,
-        weight: 3,
-        targets: ['macOS', 'iOS', 'iPadOS']
-      });
-    }
   }
 
   /**
    * 执行WebGL检测
+   * @returns {Object}
    */
-  async performWebGLDetection() {
+  performWebGLDetection() {
     const webglInfo = getWebGLInfo();
 
-    if (webglInfo) {
-      // Apple GPU检测
-      if (containsApple(webglInfo)) {
-        this.scoreSystem.addScore(['macOS', 'iOS', 'iPadOS'], 6);
-        addStep({
-          ok: true,
-          title: 'WebGL 渲染器含 Apple',
-          detail: `vendor="${webglInfo.vendor}" · renderer="${webglInfo.renderer}"`,
-          weight: 6,
-          targets: ['macOS', 'iOS', 'iPadOS']
-        });
-      }
+    if (!webglInfo) {
+      return { available: false, vendor: '', renderer: '' };
+    }
 
-      // ANGLE Metal检测
-      if (isAngleMetal(webglInfo)) {
-        this.scoreSystem.addScore(['macOS'], 4);
-        addStep({
-          ok: true,
-          title: 'ANGLE(Metal) 迹象',
-          detail: `vendor="${webglInfo.vendor}" · renderer="${webglInfo.renderer}"`,
-          weight: 4,
-          targets: ['macOS']
-        });
-      }
+    return { available: true, ...webglInfo };
+  }
 
-      // GPU厂商检测
-      const gpuVendor = getGPUVendor(webglInfo);
-      switch (gpuVendor) {
-        case 'apple':
-          this.scoreSystem.addScore(['macOS', 'iOS', 'iPadOS'], 5);
-          break;
-        case 'intel':
-          this.scoreSystem.addScore(['Windows', 'macOS', 'Linux'], 3);
-          break;
-        case 'nvidia':
-          this.scoreSystem.addScore(['Windows', 'Linux'], 4);
-          break;
-        case 'amd':
-          this.scoreSystem.addScore(['Windows', 'Linux'], 3);
-          break;
-      }
+  /**
+   * 收集硬件概况
+   * @returns {Promise<Object>}
+   */
+  collectHardwareSignals() {
+    return getHardwareProfile();
+  }
 
-      if (gpuVendor !== 'unknown') {
-        addStep({
-          ok: true,
-          title: `${gpuVendor.toUpperCase()} GPU检测`,
-          detail: `检测到${gpuVendor}显卡`,
-          weight: gpuVendor === 'apple' ? 5 : 3,
-          targets: gpuVendor === 'apple' ? ['macOS', 'iOS', 'iPadOS'] :
-                  gpuVendor === 'nvidia' || gpuVendor === 'amd' ? ['Windows', 'Linux'] :
-                  ['Windows', 'macOS', 'Linux']
-        });
-      }
-    }
+  /**
+   * 收集WebGL能力画像
+   * @returns {Object}
+   */
+  collectWebGLProfile() {
+    const profile = getWebGLProfile();
+    return profile ? { available: true, ...profile } : { available: false };
   }
 
   /**
-   * 执行NFC检测
+   * 收集WebGPU适配器信号
+   * @returns {Promise<Object>}
    */
-  async performNFCDetection() {
-    const nfcResult = await checkNFCCapabilities();
-
-    if (nfcResult.hasAPI) {
-      // NFC API可用，可能是Android
-      this.scoreSystem.addScore(['Android'], 4);
-      addStep({
-        ok: true,
-        title: 'NFC API 支持',
-        detail: `API类型: ${nfcResult.apiType}`,
-        weight: 4,
-        targets: ['Android']
-      });
-    }
+  collectWebGPUSignals() {
+    return getWebGPUInfo();
+  }
 
-    // 基于设备推断NFC支持
-    if (hasNFCSupport()) {
-      if (navigator.userAgent.toLowerCase().includes('android')) {
-        this.scoreSystem.addScore(['Android'], 2);
-      } else if (navigator.userAgent.toLowerCase().includes('iphone')) {
-        this.scoreSystem.addScore(['iOS'], 2);
-      }
-    }
+  /**
+   * 收集系统字体信号
+   * @returns {Object}
+   */
+  collectFontSignals() {
+    return detectFonts();
   }
 
   /**
-   * 执行媒体能力检测
+   * 收集语音合成语音列表
+   * @returns {Promise<Object>}
    */
-  async performMediaDetection() {
-    const mediaCapabilities = await checkMediaCapabilities();
-
-    // HEVC支持通常表明Apple设备
-    if (mediaCapabilities.hevc === true) {
-      this.scoreSystem.addScore(['macOS', 'iOS', 'iPadOS'], 4);
-      addStep({
-        ok: true,
-        title: 'HEVC/H.265 支持',
-        detail: '硬件编解码支持',
-        weight: 4,
-        targets: ['macOS', 'iOS', 'iPadOS']
-      });
-    }
+  collectSpeechSignals() {
+    return getSpeechVoices();
+  }
 
-    // VP9支持情况分析
-    if (mediaCapabilities.vp9 === true) {
-      this.scoreSystem.addScore(['Android', 'Windows', 'Linux'], 2);
-      addStep({
-        ok: true,
-        title: 'VP9 编解码支持',
-        detail: '支持VP9视频格式',
-        weight: 2,
-        targets: ['Android', 'Windows', 'Linux']
-      });
-    }
+  /**
+   * 执行NFC检测
+   * @returns {Promise<Object>}
+   */
+  performNFCDetection() {
+    return checkNFCCapabilities();
   }
 
   /**
-   * 执行用户代理字符串分析
+   * 执行媒体能力检测
+   * @returns {Promise<Object>}
    */
-  performUserAgentAnalysis() {
-    const userAgent = navigator.userAgent.toLowerCase();
-
-    // macOS检测
-    if (userAgent.includes('mac os x') || userAgent.includes('macos')) {
-      this.scoreSystem.addScore(['macOS'], 6);
-      addStep({
-        ok: true,
-        title: 'macOS 用户代理',
-        detail: 'User-Agent包含macOS标识',
-        weight: 6,
-        targets: ['macOS']
-      });
-    }
+  performMediaDetection() {
+    return checkMediaCapabilities();
+  }
 
-    // Windows检测
-    if (userAgent.includes('windows nt')) {
-      this.scoreSystem.addScore(['Windows'], 6);
-      addStep({
-        ok: true,
-        title: 'Windows 用户代理',
-        detail: 'User-Agent包含Windows NT标识',
-        weight: 6,
-        targets: ['Windows']
-      });
-    }
+  /**
+   * 收集EME密钥系统信号
+   * @returns {Promise<Object|null>}
+   */
+  collectDRMSignals() {
+    return checkKeySystems();
+  }
 
-    // Linux检测
-    if (userAgent.includes('linux') && !userAgent.includes('android')) {
-      this.scoreSystem.addScore(['Linux'], 6);
-      addStep({
-        ok: true,
-        title: 'Linux 用户代理',
-        detail: 'User-Agent包含Linux标识',
-        weight: 6,
-        targets: ['Linux']
-      });
-    }
+  /**
+   * 收集编码能力信号
+   * @returns {Promise<Object|null>}
+   */
+  collectEncodingSignals() {
+    return checkEncodingCapabilities();
+  }
 
-    // iOS检测
-    if (userAgent.includes('iphone') || userAgent.includes('ipod')) {
-      this.scoreSystem.addScore(['iOS'], 8);
-      addStep({
-        ok: true,
-        title: 'iOS 设备标识',
-        detail: 'User-Agent包含iPhone/iPod标识',
-        weight: 8,
-        targets: ['iOS']
-      });
-    }
+  /**
+   * 收集User-Agent Client Hints（含高熵值）
+   * @returns {Promise<Object>}
+   */
+  collectClientHints() {
+    return getClientHints();
+  }
 
-    // iPadOS检测
-    if (userAgent.includes('ipad')) {
-      this.scoreSystem.addScore(['iPadOS'], 8);
-      addStep({
-        ok: true,
-        title: 'iPadOS 设备标识',
-        detail: 'User-Agent包含iPad标识',
-        weight: 8,
-        targets: ['iPadOS']
-      });
-    }
+  /**
+   * 执行用户代理字符串分析
+   * @returns {Object}
+   */
+  performUserAgentAnalysis() {
+    return {
+      ua: navigator.userAgent,
+      platform: navigator.platform || ''
+    };
+  }
 
-    // Android检测
-    if (userAgent.includes('android')) {
-      this.scoreSystem.addScore(['Android'], 8);
-      addStep({
-        ok: true,
-        title: 'Android 系统标识',
-        detail: 'User-Agent包含Android标识',
-        weight: 8,
-        targets: ['Android']
-      });
-    }
+  /**
+   * 收集浏览器和渲染引擎信号
+   * @returns {Object}
+   */
+  collectBrowserSignals() {
+    return {
+      features: getBrowserFeatures()
+    };
   }
 
   /**
-   * 添加原始信号快照
+   * 收集设备类型信号
+   * @returns {Promise<Object>}
    */
-  addSignalSnapshot() {
-    const snapshot = JSON.stringify(this.signals, null, 2);
-    addStep({
-      ok: true,
-      title: '原始信号快照',
-      detail: snapshot
-    });
+  collectDeviceClassSignals() {
+    return getDeviceClassSignals();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,195 @@
+/**
+ * 字体检测模块
+ * 通过Canvas文本测量判断系统字体是否已安装，按操作系统自带字体分组匹配
+ *
+ * 不使用 document.fonts.check()：按规范它只检查通过 @font-face 加载的字体，
+ * 对未加载的系统字体一律返回 true，不同浏览器的实现也不一致
+ */
+
+/**
+ * 系统字体分组
+ * 每组只收录对应系统自带的字体，中文用户常见的CJK系统字体优先；
+ * 字体可能被用户自行安装（如Mac上安装Office会带入微软雅黑），因此按命中比例计分
+ * @type {Array<{id: string, label: string, targets: Array<string>, weight: number, fonts: Array<string>}>}
+ */
+export const FONT_GROUPS = [
+  {
+    id: 'windows',
+    label: 'Windows',
+    targets: ['Windows'],
+    weight: 8,
+    fonts: [
+      'Segoe UI',
+      'Microsoft YaHei',
+      'Microsoft JhengHei',
+      'SimSun',
+      'SimHei',
+      'DengXian',
+      'Segoe UI Emoji',
+      'Consolas'
+    ]
+  },
+  {
+    id: 'apple',
+    label: 'Apple',
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    weight: 8,
+    fonts: [
+      'PingFang SC',
+      'PingFang TC',
+      'Hiragino Sans GB',
+      'Heiti SC',
+      'Songti SC',
+      'Helvetica Neue',
+      'Apple Color Emoji',
+      'Menlo'
+    ]
+  },
+  {
+    id: 'android',
+    label: 'Android',
+    targets: ['Android'],
+    weight: 6,
+    fonts: [
+      'Roboto',
+      'Noto Sans CJK SC',
+      'Noto Color Emoji',
+      'Droid Sans',
+      'MiSans',
+      'HarmonyOS Sans'
+    ]
+  },
+  {
+    id: 'linux',
+    label: 'Linux',
+    targets: ['Linux'],
+    weight: 6,
+    fonts: [
+      'DejaVu Sans',
+      'Liberation Sans',
+      'Ubuntu',
+      'Cantarell',
+      'WenQuanYi Micro Hei',
+      'Noto Sans CJK SC'
+    ]
+  }
+];
+
+/**
+ * 字体分组至少命中的字体数，单个字体可能是用户自行安装的
+ * @type {number}
+ */
+export const MIN_GROUP_MATCHES = 2;
+
+/**
+ * 测量用的通用字体族，待测字体不存在时回退到这些字体
+ * @type {Array<string>}
+ */
+const BASE_FAMILIES = ['monospace', 'sans-serif', 'serif'];
+
+/**
+ * 测量文本，包含拉丁字母和CJK字符，CJK字体只有在测量汉字时才会产生宽度差异
+ * @type {string}
+ */
+const TEST_TEXT = 'mmmmmmmmmmlli WwQq 字体检测中文';
+
+/**
+ * 不可能存在的字体，用于检查文本测量是否被隐私保护随机化
+ * @type {string}
+ */
+const CONTROL_FONT = 'Device Detector Control Font';
+
+/**
+ * 字体检测中收录的全部字体（去重）
+ * @type {Array<string>}
+ */
+const ALL_FONTS = [...new Set(FONT_GROUPS.flatMap(group => group.fonts))];
+
+/**
+ * 创建文本测量函数
+ * @returns {function(string): number|null} 参数为CSS font-family，返回文本宽度；不支持Canvas时返回null
+ */
+function createMeasurer() {
+  const canvas = typeof OffscreenCanvas === 'function'
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    return null;
+  }
+
+  return family => {
+    ctx.font = `72px ${family}`;
+    return ctx.measureText(TEST_TEXT).width;
+  };
+}
+
+/**
+ * 判断字体是否已安装
+ * 与任一通用字体族的回退宽度不同即视为存在
+ * @param {function(string): number} measure 文本测量函数
+ * @param {Object<string, number>} baselines 通用字体族的基准宽度
+ * @param {string} font 字体名称
+ * @returns {boolean}
+ */
+function isFontInstalled(measure, baselines, font) {
+  return BASE_FAMILIES.some(base => measure(`"${font}", ${base}`) !== baselines[base]);
+}
+
+/**
+ * 检测系统字体
+ * @returns {Object} { available, reliable, method, detected, error }
+ */
+export function detectFonts() {
+  const result = {
+    available: false,
+    reliable: false,
+    method: 'canvas',
+    detected: [],
+    error: null
+  };
+
+  try {
+    const measure = createMeasurer();
+    if (!measure) {
+      result.error = '不支持Canvas 2D上下文';
+      return result;
+    }
+
+    const baselines = Object.fromEntries(BASE_FAMILIES.map(base => [base, measure(base)]));
+    result.available = true;
+    // 不存在的字体也测出差异，说明文本测量结果被随机化，检测结果不可信
+    result.reliable = !isFontInstalled(measure, baselines, CONTROL_FONT);
+    result.detected = ALL_FONTS.filter(font => isFontInstalled(measure, baselines, font));
+  } catch (error) {
+    result.error = `字体检测失败: ${error.message}`;
+  }
+
+  return result;
+}
+
+/**
+ * 获取字体分组中已检测到的字体
+ * @param {Object} fonts 字体检测结果
+ * @param {string} groupId 分组ID
+ * @returns {Array<string>}
+ */
+export function getGroupMatches(fonts, groupId) {
+  const group = FONT_GROUPS.find(({ id }) => id === groupId);
+  return group ? group.fonts.filter(font => fonts.detected.includes(font)) : [];
+}
+
+/**
+ * 按命中比例计算字体分组的权重
+ * @param {Object} fonts 字体检测结果
+ * @param {string} groupId 分组ID
+ * @returns {number}
+ */
+export function getGroupWeight(fonts, groupId) {
+  const group = FONT_GROUPS.find(({ id }) => id === groupId);
+  if (!group) {
+    return 0;
+  }
+  const ratio = getGroupMatches(fonts, groupId).length / group.fonts.length;
+  return Math.max(1, Math.round(group.weight * ratio));
+}
@@ -0,0 +1,227 @@
+/**
+ * 硬件概况检测模块
+ * 收集内存、CPU核心数、电池、网络、游戏手柄、键盘布局和传感器等硬件信息
+ */
+
+/**
+ * 通用传感器API与设备方向/运动事件
+ * 只检查接口是否存在，不请求权限
+ * @type {Array<string>}
+ */
+export const SENSOR_APIS = [
+  'Accelerometer',
+  'Gyroscope',
+  'Magnetometer',
+  'AbsoluteOrientationSensor',
+  'AmbientLightSensor',
+  'DeviceOrientationEvent',
+  'DeviceMotionEvent'
+];
+
+/**
+ * 用于判断键盘布局的按键
+ * @type {Array<string>}
+ */
+const LAYOUT_KEYS = ['KeyQ', 'KeyW', 'KeyA', 'KeyY', 'KeyZ', 'KeyM'];
+
+/**
+ * 键盘布局，按 KeyQ/KeyW/KeyY 三个按键的字符判断
+ * @type {Array<{name: string, keys: string}>}
+ */
+const KEYBOARD_LAYOUTS = [
+  { name: 'QWERTY', keys: 'qwy' },
+  { name: 'QWERTZ', keys: 'qwz' },
+  { name: 'AZERTY', keys: 'azy' }
+];
+
+/**
+ * 读取电池状态
+ * 没有电池的设备在Chromium中报告为“充电中、电量100%、充电时间0、放电时间Infinity”
+ * @returns {Promise<Object|null>} { charging, level, chargingTime, dischargingTime }，不支持时返回null
+ */
+async function getBatteryStatus() {
+  if (typeof navigator.getBattery !== 'function') {
+    return null;
+  }
+
+  try {
+    const battery = await navigator.getBattery();
+    // Infinity 无法序列化到信号快照，记为null
+    const finite = value => (Number.isFinite(value) ? value : null);
+    return {
+      charging: battery.charging,
+      level: battery.level,
+      chargingTime: finite(battery.chargingTime),
+      dischargingTime: finite(battery.dischargingTime)
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 读取网络信息
+ * connection.type 只在Android和ChromeOS上提供
+ * @returns {Object|null} { type, effectiveType, downlink, rtt, saveData }，不支持时返回null
+ */
+function getNetworkInformation() {
+  const { connection } = navigator;
+  if (!connection) {
+    return null;
+  }
+
+  return {
+    type: connection.type ?? null,
+    effectiveType: connection.effectiveType ?? null,
+    downlink: connection.downlink ?? null,
+    rtt: connection.rtt ?? null,
+    saveData: Boolean(connection.saveData)
+  };
+}
+
+/**
+ * 读取键盘布局
+ * @returns {Promise<Object|null>} 以按键代码为键的字符，不支持或被拒绝时返回null
+ */
+async function getKeyboardLayout() {
+  if (typeof navigator.keyboard?.getLayoutMap !== 'function') {
+    return null;
+  }
+
+  try {
+    const layoutMap = await navigator.keyboard.getLayoutMap();
+    return Object.fromEntries(LAYOUT_KEYS.map(key => [key, layoutMap.get(key) ?? null]));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 统计已连接的游戏手柄
+ * 页面收到手柄输入之前 getGamepads() 总是返回空
+ * @returns {Object} { available, connected }
+ */
+function getGamepadStatus() {
+  if (typeof navigator.getGamepads !== 'function') {
+    return { available: false, connected: 0 };
+  }
+
+  try {
+    return { available: true, connected: [...navigator.getGamepads()].filter(Boolean).length };
+  } catch (e) {
+    // 权限策略禁止 gamepad 时会抛出异常
+    return { available: false, connected: 0 };
+  }
+}
+
+/**
+ * 获取硬件概况
+ * @returns {Promise<Object>} { deviceMemory, hardwareConcurrency, battery, network, gamepad, keyboard, sensors }
+ */
+export async function getHardwareProfile() {
+  return {
+    deviceMemory: navigator.deviceMemory ?? null,
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    battery: await getBatteryStatus(),
+    network: getNetworkInformation(),
+    gamepad: getGamepadStatus(),
+    keyboard: await getKeyboardLayout(),
+    sensors: SENSOR_APIS.filter(name => name in window)
+  };
+}
+
+/**
+ * 判断是否为“没有电池”的电池状态
+ * 充满电并接着电源的笔记本也会报告相同的状态，因此只能作为弱信号
+ * @param {Object|null} battery 电池状态
+ * @returns {boolean}
+ */
+export function looksBatteryless(battery) {
+  return Boolean(battery) &&
+    battery.charging && battery.level === 1 && battery.chargingTime === 0 && battery.dischargingTime === null;
+}
+
+/**
+ * 判断电池是否正在放电
+ * @param {Object|null} battery 电池状态
+ * @returns {boolean}
+ */
+export function isDischarging(battery) {
+  return Boolean(battery) && !battery.charging && battery.level < 1;
+}
+
+/**
+ * 判断键盘布局
+ * @param {Object|null} keyboard 键盘布局
+ * @returns {string|null} 'QWERTY'、'QWERTZ'、'AZERTY'，无法判断时返回null
+ */
+export function getKeyboardLayoutName(keyboard) {
+  if (!keyboard) {
+    return null;
+  }
+  const keys = [keyboard.KeyQ, keyboard.KeyW, keyboard.KeyY].map(key => (key || '').toLowerCase()).join('');
+  return KEYBOARD_LAYOUTS.find(layout => layout.keys === keys)?.name ?? null;
+}
+
+/**
+ * 格式化电池状态
+ * @param {Object|null} battery 电池状态
+ * @returns {string}
+ */
+function formatBattery(battery) {
+  if (!battery) {
+    return '不支持 Battery Status API';
+  }
+  if (looksBatteryless(battery)) {
+    return '未检测到电池（或已充满并接通电源）';
+  }
+  return `${Math.round(battery.level * 100)}% · ${battery.charging ? '充电中' : '放电中'}`;
+}
+
+/**
+ * 格式化网络信息
+ * @param {Object|null} network 网络信息
+ * @returns {string}
+ */
+function formatNetwork(network) {
+  if (!network) {
+    return '不支持 Network Information API';
+  }
+  return [
+    network.type,
+    network.effectiveType,
+    network.downlink !== null && `${network.downlink} Mbps`,
+    network.rtt !== null && `RTT ${network.rtt}ms`,
+    network.saveData && '省流量模式'
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * 生成硬件概况的展示行
+ * @param {Object} hardware 硬件概况
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function formatHardwareProfile(hardware) {
+  const layout = getKeyboardLayoutName(hardware.keyboard);
+  let keyboard = '不支持 Keyboard Map API';
+  if (hardware.keyboard) {
+    keyboard = layout || '未知布局';
+  }
+
+  return [
+    { label: 'CPU核心', value: hardware.hardwareConcurrency ? `${hardware.hardwareConcurrency} 个逻辑核心` : '未知' },
+    {
+      label: '设备内存',
+      // Chromium将 deviceMemory 取整并限制在 8GB 以内
+      value: hardware.deviceMemory ? `≈${hardware.deviceMemory} GB${hardware.deviceMemory >= 8 ? '+' : ''}` : '未知'
+    },
+    { label: '电池', value: formatBattery(hardware.battery) },
+    { label: '网络', value: formatNetwork(hardware.network) || '未知' },
+    {
+      label: '游戏手柄',
+      value: hardware.gamepad.available ? `已连接 ${hardware.gamepad.connected} 个` : '不支持 Gamepad API'
+    },
+    { label: '键盘布局', value: keyboard },
+    { label: '传感器', value: hardware.sensors.join('、') || '无' }
+  ];
+}
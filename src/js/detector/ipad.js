@@ -0,0 +1,89 @@
+/**
+ * iPad桌面模式识别模块
+ * iPadOS Safari默认请求桌面网站，User-Agent与macOS Safari完全相同，
+ * 需要结合触摸点、屏幕尺寸、PWA和GPU等信号重新判定
+ */
+
+/**
+ * 已知iPad屏幕的CSS像素尺寸（竖屏宽×高）
+ */
+export const IPAD_SCREENS = [
+  { size: [768, 1024], models: 'iPad 9.7" / iPad mini 5' },
+  { size: [744, 1133], models: 'iPad mini 6/7' },
+  { size: [810, 1080], models: 'iPad 10.2"' },
+  { size: [820, 1180], models: 'iPad 10.9" / iPad Air 4/5' },
+  { size: [834, 1112], models: 'iPad Air 3 / iPad Pro 10.5"' },
+  { size: [834, 1194], models: 'iPad Pro 11"' },
+  { size: [834, 1210], models: 'iPad Pro 11" (M4)' },
+  { size: [1024, 1366], models: 'iPad Pro 12.9" / iPad Air 13"' },
+  { size: [1032, 1376], models: 'iPad Pro 13" (M4)' }
+];
+
+/**
+ * 按屏幕尺寸匹配iPad机型
+ * @param {Array<number>} screenSize [宽, 高]，任意方向
+ * @returns {Object|null} 匹配的机型条目
+ */
+export function matchIPadScreen(screenSize) {
+  if (!Array.isArray(screenSize)) {
+    return null;
+  }
+  const [short, long] = [...screenSize].sort((a, b) => a - b);
+  return IPAD_SCREENS.find(({ size }) => size[0] === short && size[1] === long) || null;
+}
+
+/**
+ * 识别伪装成macOS的iPad
+ * macOS没有触摸屏，maxTouchPoints 恒为0；macOS UA 上出现多点触控即为核心证据，
+ * iPad屏幕尺寸、粗略指针、PWA独立模式和Apple GPU作为佐证
+ * @param {Object} signals 全部信号
+ * @returns {Object} 识别结果 { applicable, isIPad, evidence, screenModels }
+ */
+export function resolveIPadDesktopMode(signals) {
+  const ua = (signals.userAgent?.ua || '').toLowerCase();
+  const applicable = ua.includes('macintosh') && !/iphone|ipad|ipod/.test(ua);
+  const result = { applicable, isIPad: false, evidence: [], screenModels: null };
+
+  if (!applicable) {
+    return result;
+  }
+
+  const touchPoints = signals.basic?.touchPoints || 0;
+  const multiTouch = touchPoints > 1;
+  const screenMatch = matchIPadScreen(signals.display?.screen);
+  const coarse = Boolean(signals.basic?.coarse);
+  const standalone = Boolean(signals.apple?.pwaStandalone);
+  const appleGPU = Boolean(signals.webgl?.containsApple) ||
+    signals.webgl?.gpuVendor === 'apple' ||
+    signals.webgpu?.gpuVendor === 'apple';
+
+  if (multiTouch) {
+    result.evidence.push(`Macintosh UA 但 maxTouchPoints=${touchPoints}（Mac恒为0）`);
+  }
+  if (screenMatch) {
+    result.screenModels = screenMatch.models;
+    result.evidence.push(`屏幕 ${signals.display.screen.join('×')} 与 ${screenMatch.models} 一致`);
+  }
+  if (coarse) {
+    result.evidence.push('主指针为粗略指针');
+  }
+  if (standalone) {
+    result.evidence.push('以主屏幕Web应用(standalone)方式运行');
+  }
+  if (appleGPU) {
+    result.evidence.push('Apple GPU');
+  }
+
+  result.isIPad = multiTouch && (Boolean(screenMatch) || coarse || appleGPU);
+  return result;
+}
+
+/**
+ * 生成iPad识别推理说明
+ * @param {Object} ipad 识别结果
+ * @returns {string}
+ */
+export function describeIPadReasoning(ipad) {
+  const conclusion = ipad.isIPad ? '判定为桌面模式下的iPad' : '证据不足，维持macOS判定';
+  return `${ipad.evidence.map(item => `· ${item}`).join('\n')}\n→ ${conclusion}`;
+}
@@ -0,0 +1,151 @@
+/**
+ * 似然概率模型
+ * 把每条规则的触发/未触发结果转换为各候选项的对数似然，归一化后得到后验概率分布
+ */
+
+/**
+ * 未提供似然表的规则，每1点权重折算的对数似然比（nats）
+ * 权重6 ≈ 似然比 20:1，权重8 ≈ 55:1
+ */
+export const LOG_ODDS_PER_POINT = 0.5;
+
+/**
+ * 似然概率的取值范围，避免出现 log(0)
+ */
+const MIN_LIKELIHOOD = 0.001;
+const MAX_LIKELIHOOD = 0.999;
+
+/**
+ * 单个候选项的后验概率上限
+ * 采集器内部做相关折扣后，不同采集器之间仍有残余相关（User-Agent、Client Hints、浏览器特性都来自同一个浏览器），
+ * 而且伪造信号、少见机型等模型外的情况无法用规则覆盖，后验不应给出超过99%的把握
+ */
+export const MAX_POSTERIOR = 0.99;
+
+/**
+ * 同一采集器内相关证据的折扣系数
+ * 对某个候选项的第 k 强证据（从0计）只计入 ρ^k，同一采集器的证据合计不超过最强一条的 1 / (1 - ρ) 倍
+ */
+export const CORRELATION_DISCOUNT = 0.5;
+
+/**
+ * 未在似然表中列出、也没有 '*' 默认值的候选项使用的似然（无信息）
+ */
+const NEUTRAL_LIKELIHOOD = 0.5;
+
+/**
+ * 将概率限制在有效范围内
+ * @param {number} p 概率
+ * @returns {number}
+ */
+function clampLikelihood(p) {
+  return Math.min(MAX_LIKELIHOOD, Math.max(MIN_LIKELIHOOD, p));
+}
+
+/**
+ * 计算一条规则对各候选项的对数似然
+ *
+ * 规则提供 likelihoods（P(触发 | 候选项)，'*' 为其余候选项的默认值）时，
+ * 触发贡献 log(p)，未触发贡献 log(1 - p)；
+ * 否则按权重折算：触发时目标候选项获得 weight × LOG_ODDS_PER_POINT，未触发不提供证据。
+ * 同一采集器的多条证据由 combineEvidence() 做相关折扣后再与其他采集器相加。
+ *
+ * @param {Object} rule 检测规则
+ * @param {boolean} fired 规则是否触发
+ * @param {number} weight 规则权重
+ * @param {Array<string>} candidates 该评分维度的候选项
+ * @returns {Object|null} 以候选项为键的对数似然，不提供证据时返回null
+ */
+export function getRuleEvidence(rule, fired, weight, candidates) {
+  if (rule.likelihoods) {
+    return Object.fromEntries(
+      candidates.map(candidate => {
+        const p = clampLikelihood(
+          rule.likelihoods[candidate] ?? rule.likelihoods['*'] ?? NEUTRAL_LIKELIHOOD
+        );
+        return [candidate, Math.log(fired ? p : 1 - p)];
+      })
+    );
+  }
+
+  if (!fired || !weight) {
+    return null;
+  }
+
+  return Object.fromEntries(
+    candidates.map(candidate => [
+      candidate,
+      rule.targets.includes(candidate) ? weight * LOG_ODDS_PER_POINT : 0
+    ])
+  );
+}
+
+/**
+ * 合并各规则的证据
+ *
+ * 同一采集器的规则读取同一份信号，彼此高度相关：例如 apple 采集器的 ApplePaySession、
+ * WebKit 私有API 等规则在 Safari 上总是同时触发，按独立证据直接相加会把同一份信号重复计入多次，
+ * 几条规则就让后验饱和到99%以上。这里对每个采集器内部做相关折扣：
+ *
+ * 1. 每条证据先减去其最大值，变为“对各候选项的惩罚”（≤ 0，不改变该证据给出的似然比）
+ * 2. 同一采集器内，每个候选项的惩罚按绝对值从大到小排列，依次乘以 1、ρ、ρ²…（ρ = CORRELATION_DISCOUNT）后相加
+ *
+ * 最强的一条证据完整计入，后续相关证据的贡献逐条衰减；追加一条证据只会让各候选项的惩罚不变或加重，
+ * 因此支持某个候选项的新证据不会降低它的后验，未提供证据的规则也不会稀释已触发的规则。
+ * 不同采集器之间仍视为独立证据相加。
+ *
+ * @param {Array<{collector: string, evidence: Object}>} items 各规则的采集器和对数似然（见 getRuleEvidence()）
+ * @param {Array<string>} candidates 该评分维度的候选项
+ * @returns {Object} 以候选项为键的对数后验（未归一化，均匀先验）
+ */
+export function combineEvidence(items, candidates) {
+  const groups = new Map();
+  items.forEach(({ collector, evidence }) => {
+    const values = candidates.map(candidate => evidence[candidate] ?? 0);
+    const max = Math.max(...values);
+    if (!groups.has(collector)) {
+      groups.set(collector, candidates.map(() => []));
+    }
+    groups.get(collector).forEach((penalties, index) => penalties.push(max - values[index]));
+  });
+
+  const logScores = Object.fromEntries(candidates.map(candidate => [candidate, 0]));
+  groups.forEach(group => {
+    candidates.forEach((candidate, index) => {
+      const penalty = group[index]
+        .sort((a, b) => b - a)
+        .reduce((sum, value, rank) => sum + value * CORRELATION_DISCOUNT ** rank, 0);
+      logScores[candidate] -= penalty;
+    });
+  });
+  return logScores;
+}
+
+/**
+ * 将对数后验归一化为概率分布（softmax）
+ * 最高的候选项不超过 MAX_POSTERIOR，超出部分按比例分给其余候选项
+ * @param {Object} logScores 以候选项为键的对数后验（未归一化）
+ * @returns {Object} 以候选项为键的概率，总和为1
+ */
+export function normalizePosterior(logScores) {
+  const entries = Object.entries(logScores);
+  const max = Math.max(...entries.map(([, value]) => value));
+  const exps = entries.map(([candidate, value]) => [candidate, Math.exp(value - max)]);
+  const total = exps.reduce((sum, [, value]) => sum + value, 0);
+  const probabilities = exps.map(([candidate, value]) => [candidate, value / total]);
+
+  const [top, topProbability] = probabilities.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  if (entries.length < 2 || topProbability <= MAX_POSTERIOR) {
+    return Object.fromEntries(probabilities);
+  }
+
+  const rest = 1 - topProbability;
+  const share = (1 - MAX_POSTERIOR) / (entries.length - 1);
+  return Object.fromEntries(probabilities.map(([candidate, p]) => {
+    if (candidate === top) {
+      return [candidate, MAX_POSTERIOR];
+    }
+    // 其余候选项的概率全部下溢为0时平均分配
+    return [candidate, rest > 0 ? (p / rest) * (1 - MAX_POSTERIOR) : share];
+  }));
+}
@@ -5,6 +5,8 @@
 
 /**
  * 检查媒体编解码能力
+ * 各项探测互不依赖，并发执行；DRM和编码能力耗时较长，由单独的检测器负责，
+ * 见 checkKeySystems() 和 checkEncodingCapabilities()
  * @returns {Promise<Object>} 媒体能力检测结果
  */
 export async function checkMediaCapabilities() {
@@ -12,24 +14,29 @@ export async function checkMediaCapabilities() {
     hevc: null,
     vp9: null,
     av1: null,
-    hdr: null
+    hdr: null,
+    audioFormats: [],
+    videoFormats: [],
+    mse: null
   };
 
   try {
-    // 检查MediaCapabilities API支持
+    // 检查MediaCapabilities API支持（HEVC/H.265、VP9、AV1、HDR）
     if ('mediaCapabilities' in navigator) {
-      // 检查HEVC/H.265支持
-      result.hevc = await checkHEVCSupport();
-
-      // 检查VP9支持
-      result.vp9 = await checkVP9Support();
+      [result.hevc, result.vp9, result.av1, result.hdr] = await Promise.all([
+        checkHEVCSupport(),
+        checkVP9Support(),
+        checkAV1Support(),
+        checkHDRSupport()
+      ]);
+    }
 
-      // 检查AV1支持
-      result.av1 = await checkAV1Support();
+    // 检查<audio>/<video>可播放的格式
+    result.audioFormats = getSupportedAudioFormats();
+    result.videoFormats = getSupportedVideoFormats();
 
-      // 检查HDR支持
-      result.hdr = await checkHDRSupport();
-    }
+    // 检查Media Source Extensions支持
+    result.mse = checkMediaSourceSupport();
   } catch (error) {
     console.warn('媒体能力检测失败:', error);
   }
@@ -194,4 +201,288 @@ export function getSupportedVideoFormats() {
   });
 
   return formats;
-}
\ No newline at end of file
+}
+
+/**
+ * Media Source Extensions 检测的媒体类型
+ * @type {Array<{name: string, type: string}>}
+ */
+const MSE_TYPES = [
+  { name: 'H.264', type: 'video/mp4; codecs="avc1.42E01E"' },
+  { name: 'H.265/HEVC', type: 'video/mp4; codecs="hev1.1.6.L93.B0"' },
+  { name: 'VP9', type: 'video/webm; codecs="vp9"' },
+  { name: 'AV1', type: 'video/mp4; codecs="av01.0.04M.08"' },
+  { name: 'AAC', type: 'audio/mp4; codecs="mp4a.40.2"' },
+  { name: 'Opus', type: 'audio/webm; codecs="opus"' }
+];
+
+/**
+ * 检查 Media Source Extensions 支持
+ * iPhone上的Safari没有 MediaSource，iOS 17.1起只提供 ManagedMediaSource
+ * @returns {Object} { available, managed, types }
+ */
+export function checkMediaSourceSupport() {
+  const result = {
+    available: typeof window.MediaSource === 'function',
+    managed: typeof window.ManagedMediaSource === 'function',
+    types: []
+  };
+
+  const MediaSourceClass = result.available ? window.MediaSource : window.ManagedMediaSource;
+  if (MediaSourceClass && typeof MediaSourceClass.isTypeSupported === 'function') {
+    result.types = MSE_TYPES
+      .filter(({ type }) => MediaSourceClass.isTypeSupported(type))
+      .map(({ name }) => name);
+  }
+
+  return result;
+}
+
+/**
+ * EME密钥系统及其安全级别
+ * 安全级别按从低到高排列；PlayReady的 recommendation 密钥系统用 150/2000/3000 表示SL级别，
+ * 3000 为硬件级；FairPlay和ClearKey没有安全级别，用空字符串探测
+ * @type {Array<{id: string, keySystems: Array<string>, initDataTypes: Array<string>, robustness: Array<string>}>}
+ */
+export const KEY_SYSTEMS = [
+  {
+    id: 'widevine',
+    keySystems: ['com.widevine.alpha'],
+    initDataTypes: ['cenc'],
+    robustness: ['SW_SECURE_CRYPTO', 'SW_SECURE_DECODE', 'HW_SECURE_CRYPTO', 'HW_SECURE_DECODE', 'HW_SECURE_ALL']
+  },
+  {
+    id: 'playready',
+    keySystems: ['com.microsoft.playready.recommendation', 'com.microsoft.playready'],
+    initDataTypes: ['cenc'],
+    robustness: ['150', '2000', '3000']
+  },
+  {
+    id: 'fairplay',
+    keySystems: ['com.apple.fps', 'com.apple.fps.1_0'],
+    initDataTypes: ['sinf', 'skd', 'cenc'],
+    robustness: ['']
+  },
+  {
+    id: 'clearkey',
+    keySystems: ['org.w3.clearkey'],
+    initDataTypes: ['cenc', 'keyids', 'webm'],
+    robustness: ['']
+  }
+];
+
+/**
+ * 请求密钥系统访问权限
+ * @param {string} keySystem 密钥系统名称
+ * @param {Array<string>} initDataTypes 初始化数据类型
+ * @param {string} robustness 安全级别
+ * @returns {Promise<boolean>}
+ */
+async function requestKeySystem(keySystem, initDataTypes, robustness) {
+  try {
+    await navigator.requestMediaKeySystemAccess(keySystem, [{
+      initDataTypes,
+      videoCapabilities: [{ contentType: 'video/mp4; codecs="avc1.42E01E"', robustness }],
+      audioCapabilities: [{ contentType: 'audio/mp4; codecs="mp4a.40.2"' }]
+    }]);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 探测单个DRM方案
+ * 依次尝试各密钥系统名称，使用第一个可用的名称并发探测全部安全级别
+ * @param {Object} definition KEY_SYSTEMS 中的定义
+ * @returns {Promise<Object>} { supported, keySystem, robustness }
+ */
+async function probeKeySystem({ keySystems, initDataTypes, robustness }) {
+  for (const keySystem of keySystems) {
+    const results = await Promise.all(robustness.map(level => requestKeySystem(keySystem, initDataTypes, level)));
+    const supported = robustness.filter((level, index) => results[index]);
+    if (supported.length) {
+      return { supported: true, keySystem, robustness: supported.filter(Boolean) };
+    }
+  }
+
+  return { supported: false, keySystem: null, robustness: [] };
+}
+
+/**
+ * 检查EME密钥系统支持
+ * PlayReady基本只存在于Windows上的Edge，FairPlay只存在于Apple平台的Safari；
+ * 各DRM方案并发探测，首次初始化CDM可能需要数秒
+ * @returns {Promise<Object|null>} 以DRM方案ID为键的探测结果，不支持EME时返回null
+ */
+export async function checkKeySystems() {
+  if (typeof navigator.requestMediaKeySystemAccess !== 'function') {
+    return null;
+  }
+
+  const results = await Promise.all(KEY_SYSTEMS.map(probeKeySystem));
+  return Object.fromEntries(KEY_SYSTEMS.map(({ id }, index) => [id, results[index]]));
+}
+
+/**
+ * 生成DRM探测结果描述
+ * @param {Object} drm DRM探测结果
+ * @returns {string} 如 "Widevine (SW_SECURE_CRYPTO, SW_SECURE_DECODE) · ClearKey"
+ */
+export function describeKeySystems(drm) {
+  const names = { widevine: 'Widevine', playready: 'PlayReady', fairplay: 'FairPlay', clearkey: 'ClearKey' };
+  const supported = Object.entries(drm)
+    .filter(([, system]) => system.supported)
+    .map(([id, system]) =>
+      `${names[id] || id}${system.robustness.length ? ` (${system.robustness.join(', ')})` : ''}`);
+  return supported.join(' · ') || '没有可用的密钥系统';
+}
+
+/**
+ * 编码能力检测的视频格式
+ * contentType 用于 mediaCapabilities.encodingInfo()，codec 用于 WebCodecs
+ * @type {Array<{name: string, contentType: string, codec: string}>}
+ */
+const VIDEO_ENCODERS = [
+  { name: 'H.264', contentType: 'video/mp4; codecs="avc1.42001f"', codec: 'avc1.42001f' },
+  { name: 'H.265/HEVC', contentType: 'video/mp4; codecs="hvc1.1.6.L93.B0"', codec: 'hvc1.1.6.L93.B0' },
+  { name: 'VP8', contentType: 'video/webm; codecs="vp8"', codec: 'vp8' },
+  { name: 'VP9', contentType: 'video/webm; codecs="vp9"', codec: 'vp09.00.10.08' },
+  { name: 'AV1', contentType: 'video/mp4; codecs="av01.0.04M.08"', codec: 'av01.0.04M.08' }
+];
+
+/**
+ * 编码能力检测的音频格式
+ * @type {Array<{name: string, codec: string}>}
+ */
+const AUDIO_ENCODERS = [
+  { name: 'AAC', codec: 'mp4a.40.2' },
+  { name: 'Opus', codec: 'opus' },
+  { name: 'FLAC', codec: 'flac' }
+];
+
+/**
+ * 编码测试参数：1080p30，4Mbps
+ */
+const ENCODE_CONFIG = { width: 1920, height: 1080, bitrate: 4000000, framerate: 30 };
+
+/**
+ * 通过 mediaCapabilities.encodingInfo 检查视频编码
+ * @param {string} contentType 媒体类型
+ * @returns {Promise<Object|null>} { supported, smooth, powerEfficient }，API不可用时返回null
+ */
+async function checkEncodingInfo(contentType) {
+  if (typeof navigator.mediaCapabilities?.encodingInfo !== 'function') {
+    return null;
+  }
+
+  try {
+    const info = await navigator.mediaCapabilities.encodingInfo({
+      type: 'record',
+      video: { contentType, ...ENCODE_CONFIG }
+    });
+    return { supported: info.supported, smooth: info.smooth, powerEfficient: info.powerEfficient };
+  } catch (e) {
+    return { supported: false, smooth: false, powerEfficient: false };
+  }
+}
+
+/**
+ * 通过 WebCodecs 检查编码器配置
+ * @param {Object} Encoder VideoEncoder 或 AudioEncoder
+ * @param {Object} config 编码器配置
+ * @returns {Promise<boolean>}
+ */
+async function isEncoderConfigSupported(Encoder, config) {
+  try {
+    const { supported } = await Encoder.isConfigSupported(config);
+    return supported === true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 检查单个视频格式的编码能力
+ * hardware 为 hardwareAcceleration: 'prefer-hardware' 时配置是否可用，
+ * 只有Chromium会据此检查硬件编码器，其他浏览器视为提示
+ * @param {Object} encoder VIDEO_ENCODERS 中的定义
+ * @returns {Promise<Object>} { supported, smooth, powerEfficient, webCodecs, hardware }
+ */
+async function checkVideoEncoder({ contentType, codec }) {
+  const info = await checkEncodingInfo(contentType);
+  const result = {
+    supported: Boolean(info?.supported),
+    smooth: info ? info.smooth : null,
+    powerEfficient: info ? info.powerEfficient : null,
+    webCodecs: null,
+    hardware: null
+  };
+
+  if (typeof window.VideoEncoder === 'function') {
+    const config = { codec, ...ENCODE_CONFIG };
+    result.webCodecs = await isEncoderConfigSupported(window.VideoEncoder, config);
+    result.hardware = await isEncoderConfigSupported(
+      window.VideoEncoder,
+      { ...config, hardwareAcceleration: 'prefer-hardware' }
+    );
+    result.supported = result.supported || result.webCodecs;
+  }
+
+  return result;
+}
+
+/**
+ * 检查编码能力
+ * 硬件编码器因平台差异很大，例如Apple芯片支持HEVC编码但不支持AV1编码
+ * @returns {Promise<Object|null>} { webCodecs, video: { [格式]: 编码能力 }, audio: [格式] }，
+ *   encodingInfo 和 WebCodecs 都不可用时返回null
+ */
+export async function checkEncodingCapabilities() {
+  const webCodecs = typeof window.VideoEncoder === 'function';
+  if (!webCodecs && typeof navigator.mediaCapabilities?.encodingInfo !== 'function') {
+    return null;
+  }
+
+  const videoResults = await Promise.all(VIDEO_ENCODERS.map(checkVideoEncoder));
+  const video = Object.fromEntries(VIDEO_ENCODERS.map(({ name }, index) => [name, videoResults[index]]));
+
+  let audio = [];
+  if (typeof window.AudioEncoder === 'function') {
+    const audioResults = await Promise.all(AUDIO_ENCODERS.map(({ codec }) => isEncoderConfigSupported(
+      window.AudioEncoder,
+      { codec, sampleRate: 48000, numberOfChannels: 2, bitrate: 128000 }
+    )));
+    audio = AUDIO_ENCODERS.filter((encoder, index) => audioResults[index]).map(({ name }) => name);
+  }
+
+  return { webCodecs, video, audio };
+}
+
+/**
+ * 生成编码能力描述
+ * @param {Object} encoding 编码能力检测结果
+ * @param {boolean} [blink] 是否为Blink引擎，见 hasHardwareEncoder()
+ * @returns {string} 如 "H.264 (硬件) · VP9 · 音频: Opus、AAC"
+ */
+export function describeEncoders(encoding, blink = false) {
+  const video = Object.entries(encoding.video)
+    .filter(([, encoder]) => encoder.supported)
+    .map(([name]) => `${name}${hasHardwareEncoder(encoding, name, blink) ? ' (硬件)' : ''}`);
+  const audio = encoding.audio.length ? ` · 音频: ${encoding.audio.join('、')}` : '';
+  return `${video.join(' · ') || '没有可用的视频编码器'}${audio}`;
+}
+
+/**
+ * 判断视频格式是否有硬件编码
+ * powerEfficient 来自 encodingInfo，按实际使用的编码器报告；hardware 来自 prefer-hardware 配置，
+ * Firefox和Safari只把它当作提示，没有硬件编码器时同样返回支持，因此只在Blink上采信
+ * @param {Object} encoding 编码能力检测结果
+ * @param {string} name 格式名称
+ * @param {boolean} [blink] 是否为Blink引擎
+ * @returns {boolean}
+ */
+export function hasHardwareEncoder(encoding, name, blink = false) {
+  const encoder = encoding?.video?.[name];
+  return Boolean(encoder?.supported && (encoder.powerEfficient || (blink && encoder.hardware)));
+}
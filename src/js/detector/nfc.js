@@ -49,10 +49,15 @@ export async function checkNFCCapabilities() {
 /**
  * 检测设备是否支持NFC
  * 基于用户代理和已知设备特征
+ * @param {string} [ua] User-Agent字符串，默认读取当前浏览器
+ * @param {boolean} [hasAPI] 是否提供Web NFC API，默认检测当前浏览器
  * @returns {boolean}
  */
-export function hasNFCSupport() {
-  const userAgent = navigator.userAgent.toLowerCase();
+export function hasNFCSupport(
+  ua = navigator.userAgent,
+  hasAPI = 'NDEFReader' in window || 'nfc' in navigator
+) {
+  const userAgent = (ua || '').toLowerCase();
 
   // Android设备通常支持NFC
   if (userAgent.includes('android')) {
@@ -70,7 +75,7 @@ export function hasNFCSupport() {
   }
 
   // 其他平台检查
-  if ('NDEFReader' in window || 'nfc' in navigator) {
+  if (hasAPI) {
     return true;
   }
 
@@ -79,21 +84,26 @@ export function hasNFCSupport() {
 
 /**
  * 获取NFC功能详细信息
+ * @param {string} [ua] User-Agent字符串，默认读取当前浏览器
+ * @param {string} [apiType] 可用的NFC API（见 checkNFCCapabilities()），默认检测当前浏览器
  * @returns {string} NFC功能描述
  */
-export function getNFCDetails() {
+export function getNFCDetails(
+  ua = navigator.userAgent,
+  apiType = 'NDEFReader' in window ? 'NDEFReader' : 'nfc' in navigator ? 'navigator.nfc' : ''
+) {
   const capabilities = [];
 
-  if ('NDEFReader' in window) {
+  if (apiType === 'NDEFReader') {
     capabilities.push('NDEF读写');
   }
 
-  if ('nfc' in navigator) {
+  if (apiType === 'navigator.nfc') {
     capabilities.push('传统NFC API');
   }
 
   // 基于平台推断功能
-  const userAgent = navigator.userAgent.toLowerCase();
+  const userAgent = (ua || '').toLowerCase();
   if (userAgent.includes('android')) {
     capabilities.push('Android NFC');
   } else if (userAgent.includes('iphone')) {
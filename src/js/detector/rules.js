@@ -0,0 +1,1253 @@
+/**
+ * 检测规则注册表
+ * 每条规则都是一个数据对象，由检测引擎统一遍历并计分
+ */
+
+import { isTabletSized } from './device-class.js';
+import { describeIPadReasoning } from './ipad.js';
+import { describeDeviceModel } from './device-models.js';
+import { BROWSERS, BROWSER_ENGINES, HINTED_BROWSERS, getHintedBrowsers } from './browser.js';
+import { getHintedOS, formatBrands } from './uach.js';
+import { hasExtension, isMobileGPU } from './webgl.js';
+import { describeAdapter } from './webgpu.js';
+import { describeKeySystems, describeEncoders, hasHardwareEncoder } from './media.js';
+import { describeVoices, getLocalVoices } from './speech.js';
+import {
+  formatHardwareProfile,
+  getKeyboardLayoutName,
+  isDischarging,
+  looksBatteryless
+} from './hardware.js';
+import { FONT_GROUPS, MIN_GROUP_MATCHES, getGroupMatches, getGroupWeight } from './fonts.js';
+
+/**
+ * 检测规则
+ * @typedef {Object} DetectionRule
+ * @property {string} id 规则唯一标识
+ * @property {string} collector 规则读取的信号采集器ID（对应 engine.signals 的键）
+ * @property {function(Object, Object): boolean} predicate 判定函数，参数为该采集器信号和全部信号
+ * @property {number|function(Object, Object): number} weight 权重分数，可按信号动态计算；
+ *   负数表示排除性证据，会从目标候选项中扣分
+ * @property {Object<string, number>} [likelihoods] 规则在各候选项下触发的概率 P(触发 | 候选项)，
+ *   '*' 为未列出候选项的默认值；提供时触发与未触发都参与后验概率计算，否则按权重折算
+ * @property {string} [axis] 评分维度：'os'（默认）、'browser'、'engine' 或 'deviceClass'
+ * @property {Array<string>} targets 目标候选列表（操作系统、浏览器或渲染引擎）
+ * @property {string} title 步骤标题
+ * @property {string|function(Object, Object): string} [description] 步骤详细信息
+ */
+
+/**
+ * 读取小写的User-Agent字符串
+ * @param {Object} signals 全部信号
+ * @returns {string}
+ */
+const ua = signals => (signals.userAgent?.ua || '').toLowerCase();
+
+/**
+ * 判断User-Agent解析出的渲染引擎是否为Blink
+ * @param {Object} signals 全部信号
+ * @returns {boolean}
+ */
+const isBlink = signals => signals.browser?.ua?.engine === 'Blink';
+
+/**
+ * 生成WebGL步骤详情
+ * @param {Object} webgl WebGL信号
+ * @returns {string}
+ */
+const describeWebGL = webgl => `vendor="${webgl.vendor}" · renderer="${webgl.renderer}"`;
+
+/**
+ * 生成GPU型号步骤详情
+ * @param {Object} gpu 渲染器解析结果
+ * @returns {string}
+ */
+const describeGPU = gpu =>
+  [gpu.model || gpu.family, gpu.backend && `ANGLE ${gpu.backend} 后端`].filter(Boolean).join(' · ');
+
+/**
+ * 读取片元着色器 mediump 浮点精度（尾数位数）
+ * @param {Object} profile WebGL能力画像
+ * @returns {number|null}
+ */
+const fragmentMediumPrecision = profile => profile.precision?.fragment?.mediumFloat?.precision ?? null;
+
+/**
+ * 生成WebGL能力画像步骤详情
+ * @param {Object} profile WebGL能力画像
+ * @returns {string}
+ */
+const describeWebGLProfile = profile => [
+  `WebGL2: ${profile.webgl2 ? '支持' : '不支持'}`,
+  `扩展 ${profile.extensions.length} 个`,
+  `MAX_TEXTURE_SIZE ${profile.limits.maxTextureSize}`,
+  `片元 mediump 精度 ${fragmentMediumPrecision(profile)} 位`,
+  `线宽范围 [${profile.aliasedLineWidthRange.join(', ')}]`
+].join(' · ');
+
+/**
+ * 生成Client Hints步骤详情
+ * @param {Object} hints Client Hints信号
+ * @returns {string}
+ */
+const describeClientHints = hints => {
+  const parts = [`platform="${hints.platform}"`];
+  if (hints.platformVersion) {
+    parts.push(`platformVersion="${hints.platformVersion}"`);
+  }
+  if (hints.architecture) {
+    parts.push(`${hints.architecture}${hints.bitness ? ` ${hints.bitness}位` : ''}`);
+  }
+  const brands = formatBrands(hints.fullVersionList.length ? hints.fullVersionList : hints.brands);
+  if (brands) {
+    parts.push(brands);
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * Client Hints平台规则，平台提示未被冻结，权重高于User-Agent字符串
+ * @type {Array<DetectionRule>}
+ */
+const CLIENT_HINTS_PLATFORM_RULES = ['Windows', 'macOS', 'Linux', 'Android', 'iOS'].map(os => ({
+  id: `clientHints.platform.${os.toLowerCase()}`,
+  collector: 'clientHints',
+  predicate: hints => hints.available && getHintedOS(hints.platform) === os,
+  weight: 7,
+  targets: [os],
+  title: `Client Hints 平台: ${os}`,
+  description: describeClientHints,
+}));
+
+/**
+ * WebGPU适配器厂商对应的操作系统
+ */
+const WEBGPU_VENDOR_TARGETS = {
+  apple: ['macOS', 'iOS', 'iPadOS'],
+  nvidia: ['Windows', 'Linux'],
+  amd: ['Windows', 'Linux'],
+  intel: ['Windows', 'macOS', 'Linux'],
+  qualcomm: ['Android'],
+  arm: ['Android'],
+  imagination: ['Android'],
+  samsung: ['Android']
+};
+
+/**
+ * WebGL已经给出显卡厂商时，WebGPU报告的是同一块显卡，不重复计分
+ * @param {Object} signals 全部信号
+ * @returns {boolean}
+ */
+const webglVendorMasked = signals =>
+  !signals.webgl?.available || signals.webgl.gpuVendor === 'unknown';
+
+/**
+ * WebGPU适配器厂商规则
+ * @type {Array<DetectionRule>}
+ */
+const WEBGPU_VENDOR_RULES = Object.entries(WEBGPU_VENDOR_TARGETS).map(([vendor, targets]) => ({
+  id: `webgpu.vendor.${vendor}`,
+  collector: 'webgpu',
+  predicate: (webgpu, signals) =>
+    webgpu.available && webgpu.gpuVendor === vendor && webglVendorMasked(signals),
+  weight: 5,
+  targets,
+  title: `WebGPU 适配器: ${vendor.toUpperCase()}`,
+  description: webgpu => `${describeAdapter(webgpu)}（WebGL渲染器信息不可用）`,
+}));
+
+/**
+ * 系统字体分组规则
+ * 命中的字体越多权重越高，文本测量被随机化时不计分
+ * @type {Array<DetectionRule>}
+ */
+const FONT_GROUP_RULES = FONT_GROUPS.map(group => ({
+  id: `fonts.${group.id}`,
+  collector: 'fonts',
+  predicate: fonts =>
+    fonts.available && fonts.reliable && getGroupMatches(fonts, group.id).length >= MIN_GROUP_MATCHES,
+  weight: fonts => getGroupWeight(fonts, group.id),
+  targets: group.targets,
+  title: `${group.label} 系统字体`,
+  description: fonts => {
+    const matches = getGroupMatches(fonts, group.id);
+    return `已安装 ${matches.length}/${group.fonts.length}: ${matches.join('、')}`;
+  },
+}));
+
+/**
+ * 本地语音提供方对应的操作系统和权重
+ */
+const SPEECH_VENDOR_TARGETS = {
+  microsoft: { label: 'Microsoft', targets: ['Windows'], weight: 7 },
+  apple: { label: 'Apple', targets: ['macOS', 'iOS', 'iPadOS'], weight: 7 },
+  android: { label: 'Android', targets: ['Android'], weight: 6 },
+  linux: { label: 'Linux', targets: ['Linux'], weight: 6 }
+};
+
+/**
+ * 语音合成提供方规则
+ * @type {Array<DetectionRule>}
+ */
+const SPEECH_VENDOR_RULES = Object.entries(SPEECH_VENDOR_TARGETS).map(([vendor, { label, targets, weight }]) => ({
+  id: `speech.${vendor}`,
+  collector: 'speech',
+  predicate: speech => speech.available && getLocalVoices(speech, vendor).length > 0,
+  weight,
+  targets,
+  title: `${label} 本地语音`,
+  description: speech => {
+    const voices = getLocalVoices(speech, vendor);
+    const names = voices.slice(0, 5).map(voice => voice.name).join(', ');
+    return `${voices.length} 个: ${names}${voices.length > 5 ? ' …' : ''}`;
+  },
+}));
+
+/**
+ * 机型匹配规则，权重随匹配置信度变化（置信度90%时为5分）
+ * @type {Array<DetectionRule>}
+ */
+const DEVICE_MODEL_OS_RULES = ['iOS', 'iPadOS', 'Android', 'macOS', 'Windows'].map(os => ({
+  id: `deviceModel.${os.toLowerCase()}`,
+  collector: 'deviceModel',
+  predicate: deviceModel => deviceModel.matched && deviceModel.os === os,
+  weight: deviceModel => Math.max(1, Math.round(deviceModel.confidence / 18)),
+  targets: [os],
+  title: `${os} 机型屏幕规格`,
+  description: (deviceModel, signals) => describeDeviceModel(deviceModel, signals.display),
+}));
+
+/**
+ * 机型形态对应的设备类型
+ * 笔记本屏幕规格无法区分是否带触摸屏，只支持 desktop；若同时支持 touch laptop，
+ * 两者得分相同时会按候选顺序判为触摸笔记本，触摸屏交给 deviceClass 采集器判断
+ */
+const DEVICE_MODEL_FORMS = {
+  phone: ['phone'],
+  tablet: ['tablet'],
+  desktop: ['desktop']
+};
+
+/**
+ * 机型形态规则
+ * @type {Array<DetectionRule>}
+ */
+const DEVICE_MODEL_FORM_RULES = Object.entries(DEVICE_MODEL_FORMS).map(([form, targets]) => ({
+  id: `deviceModel.form.${form}`,
+  collector: 'deviceModel',
+  axis: 'deviceClass',
+  predicate: deviceModel => deviceModel.matched && deviceModel.form === form,
+  weight: deviceModel => Math.max(1, Math.round(deviceModel.confidence / 30)),
+  targets,
+  title: '机型屏幕规格',
+  description: deviceModel => `可能是 ${deviceModel.best} (${deviceModel.confidence}%)`,
+}));
+
+/**
+ * 浏览器User-Agent规则
+ * @type {Array<DetectionRule>}
+ */
+const BROWSER_UA_RULES = BROWSERS.map(name => ({
+  id: `browser.ua.${name.toLowerCase().replace(/\s+/g, '-')}`,
+  collector: 'browser',
+  axis: 'browser',
+  predicate: browser => browser.ua.name === name,
+  weight: 6,
+  targets: [name],
+  title: `${name} 用户代理`,
+  description: browser => `User-Agent解析: ${name} ${browser.ua.version || ''}`.trim(),
+}));
+
+/**
+ * 浏览器Client Hints品牌规则
+ * @type {Array<DetectionRule>}
+ */
+const BROWSER_BRAND_RULES = HINTED_BROWSERS.map(name => ({
+  id: `browser.brand.${name.toLowerCase().replace(/\s+/g, '-')}`,
+  collector: 'browser',
+  axis: 'browser',
+  predicate: (_, signals) =>
+    Boolean(signals.clientHints?.available) &&
+    getHintedBrowsers(signals.clientHints.brands).includes(name),
+  weight: 6,
+  targets: [name],
+  title: `Client Hints 品牌: ${name}`,
+  description: (_, signals) => formatBrands(signals.clientHints.brands),
+}));
+
+/**
+ * 渲染引擎User-Agent规则
+ * @type {Array<DetectionRule>}
+ */
+const ENGINE_UA_RULES = BROWSER_ENGINES.map(engine => ({
+  id: `engine.ua.${engine.toLowerCase()}`,
+  collector: 'browser',
+  axis: 'engine',
+  predicate: browser => browser.ua.engine === engine,
+  weight: 5,
+  targets: [engine],
+  title: `${engine} 引擎标识`,
+  description: browser => `User-Agent解析: ${engine} ${browser.ua.engineVersion || ''}`.trim(),
+}));
+
+/**
+ * 默认检测规则
+ * 顺序即检测步骤的展示顺序
+ * @type {Array<DetectionRule>}
+ */
+export const DEFAULT_RULES = [
+  // 基础信号
+  {
+    id: 'basic.touch',
+    collector: 'basic',
+    predicate: basic => basic.touchPoints > 0 || basic.coarse,
+    weight: 2,
+    targets: ['iOS', 'iPadOS', 'Android'],
+    title: '触摸设备特征',
+    description: basic => `触摸点: ${basic.touchPoints}, 粗略指针: ${basic.coarse}`,
+  },
+  {
+    id: 'basic.noTouch',
+    collector: 'basic',
+    predicate: basic => basic.touchPoints === 0 && !basic.coarse,
+    weight: -6,
+    likelihoods: {
+      macOS: 0.99,
+      Windows: 0.8,
+      Linux: 0.9,
+      iOS: 0.01,
+      iPadOS: 0.01,
+      Android: 0.02
+    },
+    targets: ['iOS', 'iPadOS', 'Android'],
+    title: '无触摸能力',
+    description: 'maxTouchPoints 为0且没有粗略指针，移动系统可能性很低',
+  },
+
+  // Apple相关信号
+  {
+    id: 'apple.applePay',
+    collector: 'apple',
+    predicate: apple => apple.applePay,
+    weight: 8,
+    likelihoods: { iOS: 0.95, iPadOS: 0.95, macOS: 0.5, '*': 0.005 },
+    targets: ['iOS', 'iPadOS', 'macOS'],
+    title: 'Apple Pay 支持',
+    description: 'ApplePaySession API 可用',
+  },
+  {
+    id: 'apple.applePay.exclusion',
+    collector: 'apple',
+    predicate: apple => apple.applePay,
+    weight: -6,
+    targets: ['Windows', 'Linux', 'Android'],
+    title: 'Apple Pay 排除非Apple系统',
+    description: 'ApplePaySession 只存在于Apple平台的Safari/WebKit中',
+  },
+  {
+    id: 'apple.webkitCSS',
+    collector: 'apple',
+    predicate: apple => apple.webkitTouchCallout || apple.webkitOverflowScrolling,
+    weight: 4,
+    targets: ['iOS', 'iPadOS'],
+    title: 'WebKit CSS 特性',
+    description: 'webkitTouchCallout或webkitOverflowScrolling支持',
+  },
+  {
+    id: 'apple.safariPush',
+    collector: 'apple',
+    predicate: apple => apple.safariPush,
+    weight: 6,
+    targets: ['macOS'],
+    title: 'Safari 推送通知',
+    description: 'safari.pushNotification API 可用',
+  },
+
+  // Android相关信号
+  {
+    id: 'android.relatedApps',
+    collector: 'android',
+    predicate: android => android.relatedApps,
+    weight: 5,
+    targets: ['Android'],
+    title: 'Related Apps API',
+    description: 'getInstalledRelatedApps API 可用',
+  },
+
+  // 桌面系统信号
+  {
+    id: 'desktop.apis',
+    collector: 'desktop',
+    predicate: desktop => Object.values(desktop).some(Boolean),
+    weight: desktop => Object.values(desktop).filter(Boolean).length * 2,
+    targets: ['Windows', 'macOS', 'Linux'],
+    title: '桌面系统API',
+    description: desktop =>
+      `支持 ${Object.values(desktop).filter(Boolean).length} 个桌面专用API (Serial/HID/USB)`,
+  },
+
+  // 显示相关信号
+  {
+    id: 'display.retina',
+    collector: 'display',
+    predicate: display => display.dpr >= 2,
+    weight: 3,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'Retina显示屏',
+    description: display => `设备像素比: ${display.dpr}`,
+  },
+
+  // 硬件概况信号
+  {
+    id: 'hardware.summary',
+    collector: 'hardware',
+    predicate: () => true,
+    weight: 0,
+    targets: [],
+    title: '硬件概况',
+    description: hardware =>
+      formatHardwareProfile(hardware).map(({ label, value }) => `${label}: ${value}`).join(' · '),
+  },
+  {
+    id: 'hardware.memory.low',
+    collector: 'hardware',
+    predicate: hardware => hardware.deviceMemory != null && hardware.deviceMemory <= 2,
+    weight: 2,
+    targets: ['Android'],
+    title: '低内存设备',
+    description: hardware => `navigator.deviceMemory = ${hardware.deviceMemory}，桌面设备很少低于4GB`,
+  },
+  {
+    id: 'hardware.network.type',
+    collector: 'hardware',
+    predicate: hardware => Boolean(hardware.network?.type),
+    weight: 3,
+    targets: ['Android'],
+    title: '网络连接类型',
+    description: hardware => `navigator.connection.type = "${hardware.network.type}"，只在Android和ChromeOS上提供`,
+  },
+  {
+    id: 'hardware.keyboard.layoutMap',
+    collector: 'hardware',
+    predicate: hardware => hardware.keyboard != null,
+    weight: 2,
+    targets: ['Windows', 'macOS', 'Linux'],
+    title: '物理键盘布局',
+    description: hardware =>
+      `navigator.keyboard.getLayoutMap() 可用（${getKeyboardLayoutName(hardware.keyboard) || '未知布局'}），只存在于桌面Chromium`,
+  },
+  {
+    id: 'hardware.battery.none',
+    collector: 'hardware',
+    axis: 'deviceClass',
+    predicate: hardware => looksBatteryless(hardware.battery),
+    weight: 3,
+    targets: ['desktop', 'TV'],
+    title: '未检测到电池',
+    description: '电池状态为充电中、电量100%、充电时间0，通常表示没有电池（也可能是充满电并接通电源的笔记本）',
+  },
+  {
+    id: 'hardware.battery.discharging',
+    collector: 'hardware',
+    axis: 'deviceClass',
+    predicate: hardware => isDischarging(hardware.battery),
+    weight: -4,
+    targets: ['TV'],
+    title: '电池放电中',
+    description: hardware =>
+      `电量 ${Math.round(hardware.battery.level * 100)}%，未接通电源：由电池供电的笔记本或移动设备，排除电视`,
+  },
+  {
+    id: 'hardware.network.cellular',
+    collector: 'hardware',
+    axis: 'deviceClass',
+    predicate: hardware => hardware.network?.type === 'cellular',
+    weight: 3,
+    targets: ['phone', 'tablet'],
+    title: '蜂窝网络',
+    description: hardware => `通过蜂窝网络连接（${hardware.network.effectiveType || '未知速率'}）`,
+  },
+  {
+    id: 'hardware.cores.many',
+    collector: 'hardware',
+    axis: 'deviceClass',
+    predicate: hardware => hardware.hardwareConcurrency >= 16,
+    weight: 2,
+    targets: ['desktop'],
+    title: '多核处理器',
+    description: hardware => `${hardware.hardwareConcurrency} 个逻辑核心，移动设备通常不超过8个`,
+  },
+
+  // 机型识别信号（屏幕规格数据库）
+  ...DEVICE_MODEL_OS_RULES,
+  ...DEVICE_MODEL_FORM_RULES,
+
+  // WebGL信号
+  {
+    id: 'webgl.apple',
+    collector: 'webgl',
+    predicate: webgl => webgl.available && webgl.containsApple,
+    weight: 6,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'WebGL 渲染器含 Apple',
+    description: describeWebGL,
+  },
+  {
+    id: 'webgl.angleMetal',
+    collector: 'webgl',
+    predicate: webgl => webgl.available && webgl.angleMetal,
+    weight: 4,
+    targets: ['macOS'],
+    title: 'ANGLE(Metal) 迹象',
+    description: describeWebGL,
+  },
+  {
+    id: 'webgl.vendor.apple',
+    collector: 'webgl',
+    predicate: webgl => webgl.gpuVendor === 'apple',
+    weight: 5,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'APPLE GPU检测',
+    description: '检测到apple显卡',
+  },
+  {
+    id: 'webgl.vendor.intel',
+    collector: 'webgl',
+    predicate: webgl => webgl.gpuVendor === 'intel',
+    weight: 3,
+    targets: ['Windows', 'macOS', 'Linux'],
+    title: 'INTEL GPU检测',
+    description: '检测到intel显卡',
+  },
+  {
+    id: 'webgl.vendor.nvidia',
+    collector: 'webgl',
+    predicate: webgl => webgl.gpuVendor === 'nvidia',
+    weight: 4,
+    targets: ['Windows', 'Linux'],
+    title: 'NVIDIA GPU检测',
+    description: '检测到nvidia显卡',
+  },
+  {
+    id: 'webgl.vendor.amd',
+    collector: 'webgl',
+    predicate: webgl => webgl.gpuVendor === 'amd',
+    weight: 3,
+    targets: ['Windows', 'Linux'],
+    title: 'AMD GPU检测',
+    description: '检测到amd显卡',
+  },
+  {
+    id: 'webgl.desktopGPU.exclusion',
+    collector: 'webgl',
+    predicate: webgl => webgl.gpuVendor === 'nvidia' || webgl.gpuVendor === 'amd',
+    weight: -10,
+    targets: ['iOS', 'iPadOS', 'Android'],
+    title: '桌面独立显卡排除移动系统',
+    description: webgl => `${webgl.gpuVendor.toUpperCase()} 显卡不会出现在iPhone/iPad/Android设备上`,
+  },
+  {
+    id: 'webgl.direct3d.exclusion',
+    collector: 'webgl',
+    predicate: webgl => /direct3d|d3d1[01]/i.test(webgl.renderer),
+    weight: -8,
+    targets: ['macOS', 'iOS', 'iPadOS', 'Android', 'Linux'],
+    title: 'Direct3D 后端排除非Windows系统',
+    description: describeWebGL,
+  },
+
+  // GPU型号信号（由WebGL渲染器字符串解析）
+  {
+    id: 'gpu.mobile',
+    collector: 'gpu',
+    predicate: gpu => isMobileGPU(gpu),
+    weight: 6,
+    targets: ['Android'],
+    title: '移动GPU',
+    description: gpu => `${describeGPU(gpu)} · Adreno/Mali/PowerVR/Xclipse 常见于Android设备`,
+  },
+  {
+    id: 'gpu.mobile.exclusion',
+    collector: 'gpu',
+    predicate: gpu => isMobileGPU(gpu),
+    weight: -6,
+    targets: ['macOS', 'Windows', 'iOS', 'iPadOS'],
+    title: '移动GPU排除桌面系统和Apple设备',
+    description: 'Apple设备只报告Apple GPU，Windows on ARM的Adreno经由Direct3D渲染',
+  },
+  {
+    id: 'gpu.angle.d3d',
+    collector: 'gpu',
+    predicate: gpu => /^D3D/.test(gpu.backend || ''),
+    weight: 7,
+    targets: ['Windows'],
+    title: 'ANGLE Direct3D 后端',
+    description: describeGPU,
+  },
+  {
+    id: 'gpu.software.mesa',
+    collector: 'gpu',
+    predicate: gpu => gpu.family === 'llvmpipe',
+    weight: 4,
+    targets: ['Linux'],
+    title: 'Mesa 软件渲染器',
+    description: 'llvmpipe/softpipe 来自Linux上的Mesa驱动',
+  },
+  {
+    id: 'gpu.software.microsoft',
+    collector: 'gpu',
+    predicate: gpu => gpu.family === 'Microsoft Basic Render Driver',
+    weight: 4,
+    targets: ['Windows'],
+    title: 'Microsoft 基本显示驱动',
+    description: '未安装显卡驱动的Windows或虚拟机',
+  },
+  {
+    id: 'gpu.software.swiftshader',
+    collector: 'gpu',
+    predicate: gpu => gpu.family === 'SwiftShader',
+    weight: 0,
+    targets: [],
+    title: 'SwiftShader 软件渲染器',
+    description: '没有GPU加速，常见于无头浏览器、远程桌面和虚拟机，不提供系统证据',
+  },
+
+  // WebGL能力画像信号（渲染器字符串被屏蔽时仍然有效）
+  {
+    id: 'webglProfile.summary',
+    collector: 'webglProfile',
+    predicate: profile => profile.available,
+    weight: 0,
+    targets: [],
+    title: 'WebGL 能力画像',
+    description: describeWebGLProfile,
+  },
+  {
+    id: 'webglProfile.pvrtc',
+    collector: 'webglProfile',
+    predicate: profile => profile.available && hasExtension(profile, 'WEBGL_compressed_texture_pvrtc'),
+    weight: 4,
+    targets: ['iOS', 'iPadOS', 'macOS'],
+    title: 'PVRTC 纹理压缩',
+    description: 'WEBGL_compressed_texture_pvrtc 只在Apple GPU（及早期PowerVR）上提供',
+  },
+  {
+    id: 'webglProfile.etc1',
+    collector: 'webglProfile',
+    predicate: profile =>
+      profile.available &&
+      hasExtension(profile, 'WEBGL_compressed_texture_etc1') &&
+      !hasExtension(profile, 'WEBGL_compressed_texture_pvrtc'),
+    weight: 4,
+    targets: ['Android'],
+    title: 'ETC1 纹理压缩（无PVRTC）',
+    description: 'Apple GPU同时提供ETC1和PVRTC；只有ETC1而没有PVRTC是Android GPU的典型组合',
+  },
+  {
+    id: 'webglProfile.astc',
+    collector: 'webglProfile',
+    predicate: profile => profile.available && hasExtension(profile, 'WEBGL_compressed_texture_astc'),
+    weight: 2,
+    targets: ['iOS', 'iPadOS', 'Android'],
+    title: 'ASTC 纹理压缩',
+    description: 'WEBGL_compressed_texture_astc 常见于移动GPU',
+  },
+  {
+    id: 'webglProfile.s3tcOnly',
+    collector: 'webglProfile',
+    predicate: profile =>
+      profile.available &&
+      hasExtension(profile, 'WEBGL_compressed_texture_s3tc') &&
+      !hasExtension(profile, 'WEBGL_compressed_texture_astc') &&
+      !hasExtension(profile, 'WEBGL_compressed_texture_etc'),
+    weight: 3,
+    targets: ['Windows', 'macOS', 'Linux'],
+    title: '仅支持 S3TC 纹理压缩',
+    description: '只有S3TC(DXT)而没有ASTC/ETC，是桌面GPU的典型组合',
+  },
+  {
+    id: 'webglProfile.mediumpFloat',
+    collector: 'webglProfile',
+    predicate: profile => {
+      const precision = fragmentMediumPrecision(profile);
+      return profile.available && precision > 0 && precision < 23;
+    },
+    weight: 4,
+    targets: ['iOS', 'iPadOS', 'Android'],
+    title: '片元着色器 mediump 为半精度浮点',
+    description: profile =>
+      `mediump 精度 ${fragmentMediumPrecision(profile)} 位；桌面GPU通常按32位浮点（23位）实现`,
+  },
+  {
+    id: 'webglProfile.lineWidth.exclusion',
+    collector: 'webglProfile',
+    predicate: profile => profile.available && profile.aliasedLineWidthRange[1] > 1,
+    weight: -3,
+    targets: ['Windows', 'macOS', 'iOS', 'iPadOS'],
+    title: '线宽范围大于1',
+    description: profile =>
+      `线宽范围 [${profile.aliasedLineWidthRange.join(', ')}]；ANGLE的D3D/Metal后端只支持宽度1`,
+  },
+
+  // WebGPU信号
+  {
+    id: 'webgpu.summary',
+    collector: 'webgpu',
+    predicate: webgpu => webgpu.available,
+    weight: 0,
+    targets: [],
+    title: 'WebGPU 适配器',
+    description: webgpu =>
+      `${describeAdapter(webgpu)} · 特性 ${webgpu.features.length} 个` +
+      `${webgpu.isFallbackAdapter ? ' · 软件回退适配器' : ''}`,
+  },
+  ...WEBGPU_VENDOR_RULES,
+  {
+    id: 'webgpu.preferredFormat.rgba',
+    collector: 'webgpu',
+    predicate: webgpu => webgpu.preferredFormat === 'rgba8unorm',
+    weight: 3,
+    targets: ['Android'],
+    title: 'WebGPU 首选画布格式 rgba8unorm',
+    description: 'Chromium只在Android上首选rgba8unorm，其余平台为bgra8unorm',
+  },
+  {
+    id: 'webgpu.features.bcOnly',
+    collector: 'webgpu',
+    predicate: webgpu =>
+      webgpu.available &&
+      webgpu.features.includes('texture-compression-bc') &&
+      !webgpu.features.includes('texture-compression-astc'),
+    weight: 2,
+    targets: ['Windows', 'macOS', 'Linux'],
+    title: 'WebGPU 仅支持BC纹理压缩',
+    description: '有 texture-compression-bc 而没有 texture-compression-astc，是桌面GPU的典型组合',
+  },
+  {
+    id: 'webgpu.features.astcOnly',
+    collector: 'webgpu',
+    predicate: webgpu =>
+      webgpu.available &&
+      webgpu.features.includes('texture-compression-astc') &&
+      !webgpu.features.includes('texture-compression-bc'),
+    weight: 2,
+    targets: ['iOS', 'iPadOS', 'Android'],
+    title: 'WebGPU 仅支持ASTC纹理压缩',
+    description: '有 texture-compression-astc 而没有 texture-compression-bc，是移动GPU的典型组合',
+  },
+
+  // 系统字体信号
+  {
+    id: 'fonts.summary',
+    collector: 'fonts',
+    predicate: fonts => fonts.available,
+    weight: 0,
+    targets: [],
+    title: '系统字体',
+    description: fonts =>
+      `${fonts.detected.length ? fonts.detected.join('、') : '未检测到收录的系统字体'}` +
+      `${fonts.reliable ? '' : ' · 文本测量结果被随机化，不参与计分'}`,
+  },
+  ...FONT_GROUP_RULES,
+
+  // 语音合成信号
+  {
+    id: 'speech.summary',
+    collector: 'speech',
+    predicate: speech => speech.available && speech.voices.length > 0,
+    weight: 0,
+    targets: [],
+    title: '语音合成语音',
+    description: describeVoices,
+  },
+  ...SPEECH_VENDOR_RULES,
+
+  // NFC信号
+  {
+    id: 'nfc.api',
+    collector: 'nfc',
+    predicate: nfc => nfc.hasAPI,
+    weight: 4,
+    targets: ['Android'],
+    title: 'NFC API 支持',
+    description: nfc => `API类型: ${nfc.apiType}`,
+  },
+  {
+    id: 'nfc.inferred.android',
+    collector: 'nfc',
+    predicate: (nfc, signals) => nfc.inferredSupport && ua(signals).includes('android'),
+    weight: 2,
+    targets: ['Android'],
+    title: 'NFC 设备推断',
+    description: nfc => `Android 设备通常支持NFC (${nfc.details})`,
+  },
+  {
+    id: 'nfc.inferred.iphone',
+    collector: 'nfc',
+    predicate: (nfc, signals) =>
+      nfc.inferredSupport && !ua(signals).includes('android') && ua(signals).includes('iphone'),
+    weight: 2,
+    targets: ['iOS'],
+    title: 'NFC 设备推断',
+    description: nfc => `iPhone 支持Core NFC读取 (${nfc.details})`,
+  },
+
+  // 媒体能力信号
+  {
+    id: 'media.hevc',
+    collector: 'media',
+    predicate: media => media.hevc === true,
+    weight: 4,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'HEVC/H.265 支持',
+    description: '硬件编解码支持',
+  },
+  {
+    id: 'media.vp9',
+    collector: 'media',
+    predicate: media => media.vp9 === true,
+    weight: 2,
+    targets: ['Android', 'Windows', 'Linux'],
+    title: 'VP9 编解码支持',
+    description: '支持VP9视频格式',
+  },
+  {
+    id: 'media.formats.summary',
+    collector: 'media',
+    predicate: media => Boolean(media.audioFormats?.length || media.videoFormats?.length),
+    weight: 0,
+    targets: [],
+    title: '可播放的音视频格式',
+    description: media =>
+      `音频: ${media.audioFormats.join('、') || '无'} · 视频: ${media.videoFormats.join('、') || '无'}`,
+  },
+  {
+    id: 'media.formats.hevc',
+    collector: 'media',
+    predicate: media => Boolean(media.videoFormats?.includes('H.265/HEVC')),
+    weight: 2,
+    targets: ['macOS', 'iOS', 'iPadOS', 'Windows'],
+    title: 'HEVC 可直接播放',
+    description: "video.canPlayType('video/mp4; codecs=\"hev1\"') 返回非空，Safari和带硬件解码的Edge/Chrome支持",
+  },
+  {
+    id: 'media.formats.noOgg',
+    collector: 'media',
+    predicate: media => Boolean(media.audioFormats?.length) && !media.audioFormats.includes('OGG Vorbis'),
+    weight: 2,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: '不支持 Ogg Vorbis',
+    description: media => `可播放音频: ${media.audioFormats.join('、')}（WebKit长期不支持Ogg容器）`,
+  },
+  {
+    id: 'media.mse.summary',
+    collector: 'media',
+    predicate: media => Boolean(media.mse?.available || media.mse?.managed),
+    weight: 0,
+    targets: [],
+    title: 'Media Source Extensions',
+    description: media =>
+      `${media.mse.available ? 'MediaSource' : 'ManagedMediaSource'} · ` +
+      `isTypeSupported: ${media.mse.types.join('、') || '无'}`,
+  },
+  {
+    id: 'media.mse.iphone',
+    collector: 'media',
+    predicate: media => Boolean(media.mse) && !media.mse.available,
+    weight: media => (media.mse.managed ? 8 : 4),
+    targets: ['iOS'],
+    title: '缺少 MediaSource',
+    description: media => (media.mse.managed
+      ? '只有 ManagedMediaSource，符合iOS 17.1及以上iPhone上的Safari'
+      : 'MediaSource 不可用，iPhone上的WebKit不提供MSE'),
+  },
+  {
+    id: 'drm.summary',
+    collector: 'drm',
+    predicate: () => true,
+    weight: 0,
+    targets: [],
+    title: 'EME 密钥系统',
+    description: drm => describeKeySystems(drm),
+  },
+  {
+    id: 'drm.playready',
+    collector: 'drm',
+    predicate: drm => Boolean(drm.playready?.supported),
+    weight: 8,
+    targets: ['Windows'],
+    title: 'PlayReady DRM',
+    description: drm => `密钥系统 ${drm.playready.keySystem}，基本只存在于Windows上的Edge`,
+  },
+  {
+    id: 'drm.playready.hardware',
+    collector: 'drm',
+    predicate: drm => Boolean(drm.playready?.robustness.includes('3000')),
+    weight: 4,
+    targets: ['Windows'],
+    title: 'PlayReady SL3000 硬件DRM',
+    description: '硬件级PlayReady依赖Windows的Media Foundation和显卡驱动',
+  },
+  {
+    id: 'drm.fairplay',
+    collector: 'drm',
+    predicate: drm => Boolean(drm.fairplay?.supported),
+    weight: 10,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'FairPlay DRM',
+    description: drm => `密钥系统 ${drm.fairplay.keySystem}，只存在于Apple平台的Safari`,
+  },
+  {
+    id: 'drm.widevine.hardware',
+    collector: 'drm',
+    predicate: drm => Boolean(drm.widevine?.robustness.includes('HW_SECURE_ALL')),
+    weight: 4,
+    targets: ['Android'],
+    title: 'Widevine L1 硬件DRM',
+    description: 'HW_SECURE_ALL 可用，桌面Chrome通常只有软件级（L3）Widevine',
+  },
+  {
+    id: 'encoding.summary',
+    collector: 'encoding',
+    predicate: () => true,
+    weight: 0,
+    targets: [],
+    title: '编码能力',
+    description: (encoding, signals) => describeEncoders(encoding, isBlink(signals)),
+  },
+  {
+    id: 'encoding.hevc',
+    collector: 'encoding',
+    predicate: (encoding, signals) => hasHardwareEncoder(encoding, 'H.265/HEVC', isBlink(signals)),
+    weight: 4,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'HEVC 硬件编码',
+    description: 'Apple平台的VideoToolbox普遍提供HEVC硬件编码',
+  },
+  {
+    id: 'encoding.av1',
+    collector: 'encoding',
+    predicate: (encoding, signals) => hasHardwareEncoder(encoding, 'AV1', isBlink(signals)),
+    weight: 3,
+    targets: ['Windows', 'Linux'],
+    title: 'AV1 硬件编码',
+    description: 'AV1硬件编码仅见于RTX 40、RX 7000、Arc等新显卡，Apple芯片不支持',
+  },
+  {
+    id: 'encoding.av1.exclusion',
+    collector: 'encoding',
+    predicate: (encoding, signals) => hasHardwareEncoder(encoding, 'AV1', isBlink(signals)),
+    weight: -4,
+    targets: ['macOS', 'iOS', 'iPadOS'],
+    title: 'AV1 硬件编码排除Apple',
+    description: 'Apple芯片只有AV1硬件解码，没有AV1硬件编码',
+  },
+  {
+    id: 'encoding.noAac',
+    collector: 'encoding',
+    predicate: (encoding, signals) =>
+      encoding.audio.includes('Opus') && !encoding.audio.includes('AAC') && isBlink(signals),
+    weight: 3,
+    targets: ['Linux'],
+    title: '缺少 AAC 编码器',
+    description: 'Chromium的AAC编码依赖系统编码器，Linux上没有',
+  },
+
+  // iPad桌面模式推断
+  {
+    id: 'ipad.desktopMode',
+    collector: 'ipad',
+    predicate: ipad => ipad.isIPad,
+    weight: 14,
+    targets: ['iPadOS'],
+    title: 'iPad 桌面模式识别',
+    description: describeIPadReasoning,
+  },
+  {
+    id: 'ipad.desktopMode.tablet',
+    collector: 'ipad',
+    axis: 'deviceClass',
+    predicate: ipad => ipad.isIPad,
+    weight: 8,
+    targets: ['tablet'],
+    title: 'iPad 桌面模式识别',
+    description: ipad => (ipad.screenModels ? `可能机型: ${ipad.screenModels}` : '伪装为Mac的iPad'),
+  },
+  {
+    id: 'ipad.desktopMode.exclusion',
+    collector: 'ipad',
+    predicate: ipad => ipad.isIPad,
+    weight: -8,
+    targets: ['macOS'],
+    title: 'iPad 桌面模式排除macOS',
+    description: 'Mac没有触摸屏，Macintosh UA 上的多点触控来自iPad',
+  },
+
+  // User-Agent Client Hints信号
+  ...CLIENT_HINTS_PLATFORM_RULES,
+  {
+    id: 'clientHints.mobile',
+    collector: 'clientHints',
+    predicate: hints => hints.available && hints.mobile === true,
+    weight: 3,
+    targets: ['Android', 'iOS'],
+    title: 'Client Hints 移动设备',
+    description: 'navigator.userAgentData.mobile 为 true',
+  },
+  {
+    id: 'clientHints.desktop',
+    collector: 'clientHints',
+    predicate: hints => hints.available && hints.mobile === false,
+    weight: 2,
+    targets: ['Windows', 'macOS', 'Linux'],
+    title: 'Client Hints 桌面设备',
+    description: 'navigator.userAgentData.mobile 为 false',
+  },
+  {
+    id: 'clientHints.model',
+    collector: 'clientHints',
+    predicate: hints => hints.available && hints.model !== '',
+    weight: 4,
+    targets: ['Android'],
+    title: 'Client Hints 设备型号',
+    description: hints => `model="${hints.model}"`,
+  },
+
+  // 用户代理字符串信号
+  {
+    id: 'ua.macos',
+    collector: 'userAgent',
+    predicate: (_, signals) => ua(signals).includes('mac os x') || ua(signals).includes('macos'),
+    weight: 6,
+    likelihoods: { macOS: 0.98, iOS: 0.98, iPadOS: 0.98, '*': 0.01 },
+    targets: ['macOS'],
+    title: 'macOS 用户代理',
+    description: 'User-Agent包含macOS标识',
+  },
+  {
+    id: 'ua.windows',
+    collector: 'userAgent',
+    predicate: (_, signals) => ua(signals).includes('windows nt'),
+    weight: 6,
+    likelihoods: { Windows: 0.98, '*': 0.01 },
+    targets: ['Windows'],
+    title: 'Windows 用户代理',
+    description: 'User-Agent包含Windows NT标识',
+  },
+  {
+    id: 'ua.linux',
+    collector: 'userAgent',
+    predicate: (_, signals) => ua(signals).includes('linux') && !ua(signals).includes('android'),
+    weight: 6,
+    likelihoods: { Linux: 0.95, '*': 0.01 },
+    targets: ['Linux'],
+    title: 'Linux 用户代理',
+    description: 'User-Agent包含Linux标识',
+  },
+  {
+    id: 'ua.ios',
+    collector: 'userAgent',
+    predicate: (_, signals) => ua(signals).includes('iphone') || ua(signals).includes('ipod'),
+    weight: 8,
+    likelihoods: { iOS: 0.98, '*': 0.005 },
+    targets: ['iOS'],
+    title: 'iOS 设备标识',
+    description: 'User-Agent包含iPhone/iPod标识',
+  },
+  {
+    id: 'ua.ipados',
+    collector: 'userAgent',
+    predicate: (_, signals) => ua(signals).includes('ipad'),
+    weight: 8,
+    likelihoods: { iPadOS: 0.3, '*': 0.005 },
+    targets: ['iPadOS'],
+    title: 'iPadOS 设备标识',
+    description: 'User-Agent包含iPad标识',
+  },
+  {
+    id: 'ua.android',
+    collector: 'userAgent',
+    predicate: (_, signals) => ua(signals).includes('android'),
+    weight: 8,
+    likelihoods: { Android: 0.98, Linux: 0.01, '*': 0.005 },
+    targets: ['Android'],
+    title: 'Android 系统标识',
+    description: 'User-Agent包含Android标识',
+  },
+
+  // 浏览器信号
+  ...BROWSER_UA_RULES,
+  ...BROWSER_BRAND_RULES,
+  {
+    id: 'browser.braveAPI',
+    collector: 'browser',
+    axis: 'browser',
+    predicate: browser => browser.features.braveAPI,
+    weight: 8,
+    targets: ['Brave'],
+    title: 'Brave API',
+    description: 'navigator.brave 可用（User-Agent与Chrome相同）',
+  },
+  {
+    id: 'browser.operaObject',
+    collector: 'browser',
+    axis: 'browser',
+    predicate: browser => browser.features.operaObject,
+    weight: 4,
+    targets: ['Opera'],
+    title: 'Opera 全局对象',
+    description: 'window.opr 可用',
+  },
+
+  // 渲染引擎信号
+  ...ENGINE_UA_RULES,
+  {
+    id: 'engine.blink.features',
+    collector: 'browser',
+    axis: 'engine',
+    predicate: browser => browser.features.userAgentData || browser.features.chromeObject,
+    weight: 4,
+    targets: ['Blink'],
+    title: 'Blink 特性',
+    description: browser =>
+      `navigator.userAgentData: ${browser.features.userAgentData}, window.chrome: ${browser.features.chromeObject}`,
+  },
+  {
+    id: 'engine.webkit.features',
+    collector: 'browser',
+    axis: 'engine',
+    predicate: browser => browser.features.gestureEvent,
+    weight: 4,
+    targets: ['WebKit'],
+    title: 'WebKit 特性',
+    description: 'GestureEvent 可用',
+  },
+  {
+    id: 'engine.gecko.features',
+    collector: 'browser',
+    axis: 'engine',
+    predicate: browser => browser.features.mozInnerScreen || browser.features.mozAppearance,
+    weight: 6,
+    targets: ['Gecko'],
+    title: 'Gecko 特性',
+    description: browser =>
+      `mozInnerScreenX: ${browser.features.mozInnerScreen}, -moz-appearance: ${browser.features.mozAppearance}`,
+  },
+
+  // 设备类型信号
+  {
+    id: 'deviceClass.phone.form',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: (device, signals) =>
+      signals.basic?.coarse && device.hoverNone && device.shortSide > 0 && device.shortSide < 600,
+    weight: 6,
+    targets: ['phone'],
+    title: '手机形态',
+    description: device => `粗略指针、无悬停、屏幕短边 ${device.shortSide}px`,
+  },
+  {
+    id: 'deviceClass.tablet.form',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: (device, signals) => signals.basic?.coarse && isTabletSized(device),
+    weight: 5,
+    targets: ['tablet'],
+    title: '平板形态',
+    description: device =>
+      `粗略指针、屏幕 ${device.shortSide}×${device.longSide}px · 方向 ${device.orientationType}`,
+  },
+  {
+    id: 'deviceClass.touchLaptop.form',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: (device, signals) =>
+      signals.basic?.touchPoints > 0 && signals.basic.fine && signals.basic.hover,
+    weight: 6,
+    targets: ['touch laptop'],
+    title: '触屏笔记本形态',
+    description: (_, signals) =>
+      `主指针精细且可悬停，同时支持 ${signals.basic.touchPoints} 个触摸点`,
+  },
+  {
+    id: 'deviceClass.desktop.form',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: (device, signals) =>
+      signals.basic?.touchPoints === 0 && signals.basic.fine && signals.basic.hover,
+    weight: 6,
+    targets: ['desktop'],
+    title: '桌面形态',
+    description: device => `精细指针、可悬停、无触摸 · 屏幕 ${device.longSide}×${device.shortSide}px`,
+  },
+  {
+    id: 'deviceClass.ua.mobile',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: device => device.uaHints.mobile,
+    weight: 4,
+    targets: ['phone'],
+    title: '移动设备用户代理',
+    description: 'User-Agent包含Mobile/iPhone标识',
+  },
+  {
+    id: 'deviceClass.ua.tablet',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: device => device.uaHints.tablet && !device.uaHints.tv,
+    weight: 4,
+    targets: ['tablet'],
+    title: '平板用户代理',
+    description: 'User-Agent包含iPad/Tablet标识，或Android不含Mobile',
+  },
+  {
+    id: 'deviceClass.clientHints.mobile',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: (_, signals) => Boolean(signals.clientHints?.available) && signals.clientHints.mobile,
+    weight: 3,
+    targets: ['phone'],
+    title: 'Client Hints 移动设备',
+    description: 'navigator.userAgentData.mobile 为 true',
+  },
+  {
+    id: 'deviceClass.ua.tv',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: device => device.uaHints.tv,
+    weight: 10,
+    targets: ['TV'],
+    title: '电视用户代理',
+    description: 'User-Agent包含SmartTV/Tizen/webOS/Android TV等标识',
+  },
+  {
+    id: 'deviceClass.tv.input',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: device => device.pointerNone && device.hoverNone && device.longSide >= 1280,
+    weight: 3,
+    targets: ['TV'],
+    title: '遥控器输入特征',
+    description: device => `无指针、无悬停的大屏设备 (${device.longSide}×${device.shortSide}px)`,
+  },
+  {
+    id: 'deviceClass.xr.ua',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: device => device.uaHints.xr,
+    weight: 10,
+    targets: ['XR'],
+    title: 'XR 头显用户代理',
+    description: 'User-Agent包含OculusBrowser/Quest/Pico/visionOS等标识',
+  },
+  {
+    id: 'deviceClass.xr.immersive',
+    collector: 'deviceClass',
+    axis: 'deviceClass',
+    predicate: device => device.immersiveVR === true,
+    weight: 4,
+    targets: ['XR'],
+    title: 'WebXR 沉浸式会话',
+    description: "navigator.xr.isSessionSupported('immersive-vr') 为 true",
+  },
+];
@@ -0,0 +1,118 @@
+/**
+ * 语音合成检测模块
+ * speechSynthesis.getVoices() 返回的是系统TTS引擎提供的语音，名称和标识因操作系统而异
+ */
+
+/**
+ * 等待 voiceschanged 事件的超时时间（毫秒）
+ * Chrome首次调用 getVoices() 返回空列表，语音异步加载；没有任何语音时事件可能永远不会触发
+ * @type {number}
+ */
+export const VOICES_TIMEOUT = 1500;
+
+/**
+ * 语音提供方
+ * pattern 匹配语音名称或 voiceURI；Firefox的 voiceURI 形如 "urn:moz-tts:sapi:..."，同样可以识别
+ * @type {Array<{id: string, label: string, pattern: RegExp}>}
+ */
+export const VOICE_VENDORS = [
+  { id: 'microsoft', label: 'Microsoft', pattern: /^microsoft\s|:sapi:/i },
+  {
+    id: 'apple',
+    label: 'Apple',
+    pattern: /com\.apple\.|^(ting-?ting|mei-?jia|sin-?ji|li-mu|yu-shu|samantha|alex|daniel|karen|kyoko)$/i
+  },
+  { id: 'google', label: 'Google', pattern: /^google\s/i },
+  { id: 'android', label: 'Android', pattern: /-x-[a-z]{3,4}-(local|network)$/i },
+  { id: 'linux', label: 'Linux', pattern: /espeak|speechd|speech-dispatcher|svox|pico|rhvoice|festival/i }
+];
+
+/**
+ * 读取当前语音列表
+ * @returns {Array<Object>} { name, voiceURI, lang, localService }
+ */
+function readVoices() {
+  return speechSynthesis.getVoices().map(voice => ({
+    name: voice.name,
+    voiceURI: voice.voiceURI,
+    lang: voice.lang,
+    localService: voice.localService
+  }));
+}
+
+/**
+ * 获取语音合成语音列表
+ * @param {number} [timeout] 等待语音加载的超时时间（毫秒）
+ * @returns {Promise<Object>} { available, timedOut, voices }
+ */
+export function getSpeechVoices(timeout = VOICES_TIMEOUT) {
+  const result = { available: false, timedOut: false, voices: [] };
+
+  if (typeof speechSynthesis === 'undefined' || typeof speechSynthesis.getVoices !== 'function') {
+    return Promise.resolve(result);
+  }
+  result.available = true;
+
+  const voices = readVoices();
+  if (voices.length) {
+    return Promise.resolve({ ...result, voices });
+  }
+
+  return new Promise(resolve => {
+    let timer = null;
+    const onChange = () => {
+      clearTimeout(timer);
+      speechSynthesis.removeEventListener('voiceschanged', onChange);
+      resolve({ ...result, voices: readVoices() });
+    };
+
+    speechSynthesis.addEventListener('voiceschanged', onChange);
+    timer = setTimeout(() => {
+      speechSynthesis.removeEventListener('voiceschanged', onChange);
+      resolve({ ...result, timedOut: true, voices: readVoices() });
+    }, timeout);
+  });
+}
+
+/**
+ * 判断语音的提供方
+ * @param {Object} voice 语音
+ * @returns {string} VOICE_VENDORS 中的ID，无法识别时返回 'other'
+ */
+export function classifyVoice(voice) {
+  const vendor = VOICE_VENDORS.find(({ pattern }) =>
+    pattern.test(voice.name || '') || pattern.test(voice.voiceURI || ''));
+  return vendor ? vendor.id : 'other';
+}
+
+/**
+ * 获取某个提供方的本地语音
+ * 只统计本地语音：Edge在所有系统上都提供 "Microsoft ... Online" 在线语音，Chrome提供Google在线语音
+ * @param {Object} speech 语音合成检测结果
+ * @param {string} vendor 提供方ID
+ * @returns {Array<Object>}
+ */
+export function getLocalVoices(speech, vendor) {
+  return speech.voices.filter(voice => voice.localService && classifyVoice(voice) === vendor);
+}
+
+/**
+ * 生成语音列表摘要
+ * @param {Object} speech 语音合成检测结果
+ * @returns {string} 如 "共 24 个语音 · Microsoft 3 · Google 19 · 中文: Microsoft Huihui, Google 普通话（中国大陆）"
+ */
+export function describeVoices(speech) {
+  const counts = VOICE_VENDORS
+    .map(({ id, label }) => [label, speech.voices.filter(voice => classifyVoice(voice) === id).length])
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${label} ${count}`);
+  const chinese = speech.voices
+    .filter(voice => /^(zh|cmn|yue)\b/i.test(voice.lang || ''))
+    .map(voice => voice.name);
+
+  return [
+    `共 ${speech.voices.length} 个语音`,
+    ...counts,
+    chinese.length ? `中文: ${chinese.join(', ')}` : ''
+  ].filter(Boolean).join(' · ');
+}
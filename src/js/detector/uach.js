@@ -0,0 +1,101 @@
+/**
+ * User-Agent Client Hints检测模块
+ * 通过 navigator.userAgentData 获取结构化的平台信息，
+ * 弥补Chromium冻结/精简User-Agent字符串后的信息缺失
+ */
+
+/**
+ * 需要请求的高熵值提示
+ * @type {Array<string>}
+ */
+export const HIGH_ENTROPY_HINTS = [
+  'platformVersion',
+  'architecture',
+  'bitness',
+  'model',
+  'fullVersionList'
+];
+
+/**
+ * Client Hints平台名称与操作系统的对应关系
+ * Chrome OS 基于Linux内核，归入Linux
+ */
+const PLATFORM_MAP = {
+  windows: 'Windows',
+  macos: 'macOS',
+  linux: 'Linux',
+  'chrome os': 'Linux',
+  chromeos: 'Linux',
+  android: 'Android',
+  ios: 'iOS'
+};
+
+/**
+ * 获取User-Agent Client Hints
+ * @returns {Promise<Object>} Client Hints检测结果
+ */
+export async function getClientHints() {
+  const result = {
+    available: false,
+    brands: [],
+    mobile: null,
+    platform: '',
+    platformVersion: '',
+    architecture: '',
+    bitness: '',
+    model: '',
+    fullVersionList: [],
+    error: null
+  };
+
+  const uaData = navigator.userAgentData;
+  if (!uaData) {
+    return result;
+  }
+
+  result.available = true;
+  result.brands = (uaData.brands || []).map(({ brand, version }) => ({ brand, version }));
+  result.mobile = Boolean(uaData.mobile);
+  result.platform = uaData.platform || '';
+
+  if (typeof uaData.getHighEntropyValues !== 'function') {
+    return result;
+  }
+
+  try {
+    const values = await uaData.getHighEntropyValues(HIGH_ENTROPY_HINTS);
+    result.platformVersion = values.platformVersion || '';
+    result.architecture = values.architecture || '';
+    result.bitness = values.bitness || '';
+    result.model = values.model || '';
+    result.fullVersionList = (values.fullVersionList || []).map(({ brand, version }) => ({
+      brand,
+      version
+    }));
+  } catch (error) {
+    result.error = `高熵值获取失败: ${error.message}`;
+  }
+
+  return result;
+}
+
+/**
+ * 将Client Hints平台名称映射为操作系统名称
+ * @param {string} platform navigator.userAgentData.platform
+ * @returns {string|null} 操作系统名称，无法识别时返回null
+ */
+export function getHintedOS(platform) {
+  return PLATFORM_MAP[String(platform || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * 格式化品牌列表，过滤 "Not A;Brand" 之类的GREASE占位品牌
+ * @param {Array<Object>} brands 品牌列表
+ * @returns {string}
+ */
+export function formatBrands(brands) {
+  return brands
+    .filter(({ brand }) => !/not.?a.?brand/i.test(brand))
+    .map(({ brand, version }) => `${brand} ${version}`)
+    .join(', ');
+}
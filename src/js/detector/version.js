@@ -0,0 +1,255 @@
+/**
+ * 操作系统版本检测模块
+ * 在操作系统家族确定后，结合Client Hints和User-Agent推断具体版本
+ */
+
+/**
+ * 版本状态
+ * - detected：版本可信
+ * - frozen：User-Agent被冻结/精简，只能给出下限或范围
+ * - unknown：没有可用的版本信息
+ */
+export const VERSION_STATE = {
+  DETECTED: 'detected',
+  FROZEN: 'frozen',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Windows NT内核版本与系统版本的对应关系
+ * NT 10.0 同时对应 Windows 10 和 11，只能通过Client Hints区分
+ */
+const WINDOWS_NT_VERSIONS = {
+  '6.1': '7',
+  '6.2': '8',
+  '6.3': '8.1'
+};
+
+/**
+ * 创建版本结果
+ * @param {string} state 版本状态
+ * @param {Object} [fields] 其他字段
+ * @returns {Object} 版本结果 { version, state, confidence, source, detail }
+ */
+function createVersion(state, fields = {}) {
+  return {
+    version: null,
+    state,
+    confidence: 0,
+    source: null,
+    detail: '',
+    ...fields
+  };
+}
+
+/**
+ * 读取Client Hints中的平台版本
+ * @param {Object} signals 全部信号
+ * @returns {Array<number>|null} 版本号数组，不可用时返回null
+ */
+function getHintedPlatformVersion(signals) {
+  const hints = signals.clientHints;
+  if (!hints || !hints.available || !hints.platformVersion) {
+    return null;
+  }
+  return hints.platformVersion.split('.').map(part => parseInt(part, 10) || 0);
+}
+
+/**
+ * 检测Windows版本
+ * Client Hints platformVersion 主版本 ≥ 13 为 Windows 11，1-10 为 Windows 10，0 为 Windows 7/8/8.1
+ * @param {string} ua User-Agent字符串
+ * @param {Object} signals 全部信号
+ * @returns {Object} 版本结果
+ */
+function detectWindowsVersion(ua, signals) {
+  const hinted = getHintedPlatformVersion(signals);
+  if (hinted) {
+    const [major] = hinted;
+    const version = major >= 13 ? '11' : major > 0 ? '10' : '7/8/8.1';
+    return createVersion(VERSION_STATE.DETECTED, {
+      version,
+      confidence: major > 0 ? 95 : 70,
+      source: 'clientHints',
+      detail: `platformVersion=${signals.clientHints.platformVersion}`
+    });
+  }
+
+  const match = ua.match(/windows nt (\d+\.\d+)/i);
+  if (!match) {
+    return createVersion(VERSION_STATE.UNKNOWN);
+  }
+
+  if (WINDOWS_NT_VERSIONS[match[1]]) {
+    return createVersion(VERSION_STATE.DETECTED, {
+      version: WINDOWS_NT_VERSIONS[match[1]],
+      confidence: 90,
+      source: 'userAgent',
+      detail: `Windows NT ${match[1]}`
+    });
+  }
+
+  return createVersion(VERSION_STATE.FROZEN, {
+    version: '10/11',
+    confidence: 50,
+    source: 'userAgent',
+    detail: `Windows NT ${match[1]} 无法区分 Windows 10 和 11`
+  });
+}
+
+/**
+ * 检测macOS版本
+ * Safari和Chrome的User-Agent均冻结在 10_15_7，只有Client Hints能给出真实版本
+ * @param {string} ua User-Agent字符串
+ * @param {Object} signals 全部信号
+ * @returns {Object} 版本结果
+ */
+function detectMacOSVersion(ua, signals) {
+  const hinted = getHintedPlatformVersion(signals);
+  if (hinted) {
+    const [major, minor] = hinted;
+    return createVersion(VERSION_STATE.DETECTED, {
+      version: major >= 11 ? String(major) : `${major}.${minor}`,
+      confidence: 95,
+      source: 'clientHints',
+      detail: `platformVersion=${signals.clientHints.platformVersion}`
+    });
+  }
+
+  const match = ua.match(/mac os x (\d+)[._](\d+)/i);
+  if (!match) {
+    return createVersion(VERSION_STATE.UNKNOWN);
+  }
+
+  const [, major, minor] = match;
+  if (major === '10' && minor === '15') {
+    return createVersion(VERSION_STATE.FROZEN, {
+      version: '10.15+',
+      confidence: 20,
+      source: 'userAgent',
+      detail: 'User-Agent冻结在 Mac OS X 10_15_7，实际版本可能更高'
+    });
+  }
+
+  return createVersion(VERSION_STATE.DETECTED, {
+    version: `${major}.${minor}`,
+    confidence: 80,
+    source: 'userAgent',
+    detail: `Mac OS X ${major}.${minor}`
+  });
+}
+
+/**
+ * 检测iOS/iPadOS版本
+ * 新版Safari的系统版本号可能冻结，Version/ 字段比系统版本更高时以其为准
+ * @param {string} ua User-Agent字符串
+ * @returns {Object} 版本结果
+ */
+function detectAppleMobileVersion(ua) {
+  const osMatch = ua.match(/(?:iphone )?os (\d+)_(\d+)(?:_(\d+))? like mac os x/i);
+  const safariMatch = ua.match(/version\/(\d+)(?:\.(\d+))?/i);
+  const osMajor = osMatch ? parseInt(osMatch[1], 10) : 0;
+  const safariMajor = safariMatch ? parseInt(safariMatch[1], 10) : 0;
+
+  if (safariMatch && safariMajor > osMajor) {
+    return createVersion(VERSION_STATE.DETECTED, {
+      version: `${safariMajor}.${safariMatch[2] || 0}`,
+      confidence: osMatch ? 85 : 60,
+      source: 'userAgent',
+      detail: osMatch
+        ? `系统版本冻结为 ${osMatch[1]}.${osMatch[2]}，按 Safari Version/${safariMatch[1]} 推断`
+        : `桌面模式User-Agent，按 Safari Version/${safariMatch[1]} 推断`
+    });
+  }
+
+  if (osMatch) {
+    return createVersion(VERSION_STATE.DETECTED, {
+      version: [osMatch[1], osMatch[2], osMatch[3]].filter(Boolean).join('.'),
+      confidence: 90,
+      source: 'userAgent',
+      detail: `OS ${osMatch[1]}_${osMatch[2]}${osMatch[3] ? `_${osMatch[3]}` : ''}`
+    });
+  }
+
+  return createVersion(VERSION_STATE.UNKNOWN);
+}
+
+/**
+ * 检测Android版本
+ * 精简后的Chrome User-Agent固定为 "Android 10; K"
+ * @param {string} ua User-Agent字符串
+ * @param {Object} signals 全部信号
+ * @returns {Object} 版本结果
+ */
+function detectAndroidVersion(ua, signals) {
+  const hinted = getHintedPlatformVersion(signals);
+  if (hinted) {
+    const [major, minor] = hinted;
+    return createVersion(VERSION_STATE.DETECTED, {
+      version: minor ? `${major}.${minor}` : String(major),
+      confidence: 95,
+      source: 'clientHints',
+      detail: `platformVersion=${signals.clientHints.platformVersion}`
+    });
+  }
+
+  const match = ua.match(/android (\d+)(?:\.(\d+))?(?:\.\d+)?;\s*([^;)]*)/i);
+  if (!match) {
+    return createVersion(VERSION_STATE.UNKNOWN);
+  }
+
+  const [, major, minor, model] = match;
+  if (major === '10' && model.trim() === 'K') {
+    return createVersion(VERSION_STATE.FROZEN, {
+      version: '10+',
+      confidence: 15,
+      source: 'userAgent',
+      detail: '精简User-Agent "Android 10; K"，实际版本未知'
+    });
+  }
+
+  return createVersion(VERSION_STATE.DETECTED, {
+    version: minor ? `${major}.${minor}` : major,
+    confidence: 85,
+    source: 'userAgent',
+    detail: `Android ${major}${minor ? `.${minor}` : ''}`
+  });
+}
+
+/**
+ * 检测操作系统版本
+ * @param {string} os 操作系统家族名称
+ * @param {Object} signals 全部信号
+ * @returns {Object} 版本结果 { version, state, confidence, source, detail }
+ */
+export function detectOSVersion(os, signals) {
+  const ua = signals.userAgent?.ua || '';
+
+  switch (os) {
+    case 'Windows':
+      return detectWindowsVersion(ua, signals);
+    case 'macOS':
+      return detectMacOSVersion(ua, signals);
+    case 'iOS':
+    case 'iPadOS':
+      return detectAppleMobileVersion(ua);
+    case 'Android':
+      return detectAndroidVersion(ua, signals);
+    default:
+      return createVersion(VERSION_STATE.UNKNOWN);
+  }
+}
+
+/**
+ * 格式化操作系统名称和版本
+ * @param {string} os 操作系统家族名称
+ * @param {Object} version 版本结果
+ * @returns {string} 如 "Windows 11"、"macOS 10.15+ (版本已冻结)"
+ */
+export function formatOSVersion(os, version) {
+  if (!version || !version.version) {
+    return os;
+  }
+  const label = `${os} ${version.version}`;
+  return version.state === VERSION_STATE.FROZEN ? `${label} (版本已冻结)` : label;
+}
@@ -1,6 +1,6 @@
 /**
  * WebGL检测模块
- * 用于获取显卡和渲染器信息
+ * 用于获取显卡和渲染器信息，以及扩展、限制参数和着色器精度等能力画像
  */
 
 /**
@@ -32,6 +32,117 @@ export function getWebGLInfo() {
   }
 }
 
+/**
+ * WebGL1 上下文可读取的限制参数
+ */
+const WEBGL_LIMITS = {
+  maxTextureSize: 'MAX_TEXTURE_SIZE',
+  maxCubeMapTextureSize: 'MAX_CUBE_MAP_TEXTURE_SIZE',
+  maxRenderbufferSize: 'MAX_RENDERBUFFER_SIZE',
+  maxViewportDims: 'MAX_VIEWPORT_DIMS',
+  maxVertexAttribs: 'MAX_VERTEX_ATTRIBS',
+  maxVertexUniformVectors: 'MAX_VERTEX_UNIFORM_VECTORS',
+  maxVaryingVectors: 'MAX_VARYING_VECTORS',
+  maxFragmentUniformVectors: 'MAX_FRAGMENT_UNIFORM_VECTORS',
+  maxTextureImageUnits: 'MAX_TEXTURE_IMAGE_UNITS',
+  maxVertexTextureImageUnits: 'MAX_VERTEX_TEXTURE_IMAGE_UNITS',
+  maxCombinedTextureImageUnits: 'MAX_COMBINED_TEXTURE_IMAGE_UNITS'
+};
+
+/**
+ * 仅 WebGL2 上下文可读取的限制参数
+ */
+const WEBGL2_LIMITS = {
+  max3DTextureSize: 'MAX_3D_TEXTURE_SIZE',
+  maxArrayTextureLayers: 'MAX_ARRAY_TEXTURE_LAYERS',
+  maxDrawBuffers: 'MAX_DRAW_BUFFERS',
+  maxSamples: 'MAX_SAMPLES',
+  maxUniformBufferBindings: 'MAX_UNIFORM_BUFFER_BINDINGS'
+};
+
+/**
+ * 读取一组参数，类型化数组转换为普通数组以便写入快照
+ * @param {WebGLRenderingContext} gl WebGL上下文
+ * @param {Object} parameters 以字段名为键的参数常量名
+ * @returns {Object}
+ */
+function readParameters(gl, parameters) {
+  return Object.fromEntries(
+    Object.entries(parameters).map(([key, name]) => {
+      const value = gl.getParameter(gl[name]);
+      return [key, ArrayBuffer.isView(value) ? Array.from(value) : value];
+    })
+  );
+}
+
+/**
+ * 读取顶点/片元着色器的浮点精度
+ * 桌面GPU的mediump通常按highp实现（23位尾数），移动GPU的mediump多为真正的16位浮点（10位）
+ * @param {WebGLRenderingContext} gl WebGL上下文
+ * @returns {Object} { vertex, fragment }，每项包含 highFloat、mediumFloat、lowFloat
+ */
+function readPrecision(gl) {
+  const read = shader => Object.fromEntries(
+    [['highFloat', gl.HIGH_FLOAT], ['mediumFloat', gl.MEDIUM_FLOAT], ['lowFloat', gl.LOW_FLOAT]]
+      .map(([key, type]) => {
+        const format = gl.getShaderPrecisionFormat(shader, type);
+        return [key, format
+          ? { rangeMin: format.rangeMin, rangeMax: format.rangeMax, precision: format.precision }
+          : null];
+      })
+  );
+
+  return { vertex: read(gl.VERTEX_SHADER), fragment: read(gl.FRAGMENT_SHADER) };
+}
+
+/**
+ * 获取WebGL能力画像
+ * 渲染器字符串被屏蔽（如Safari的 "Apple GPU"、Firefox的抗指纹模式）时，
+ * 扩展列表、限制参数和着色器精度仍能区分不同平台
+ * @returns {Object|null} { webgl2, extensions, limits, precision, aliasedLineWidthRange,
+ *   aliasedPointSizeRange, maxAnisotropy }，失败时返回null
+ */
+export function getWebGLProfile() {
+  try {
+    const canvas = document.createElement('canvas');
+    const gl2 = canvas.getContext('webgl2');
+    const gl = gl2 || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+
+    if (!gl) {
+      return null;
+    }
+
+    const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic') ||
+      gl.getExtension('WEBKIT_EXT_texture_filter_anisotropic');
+
+    return {
+      webgl2: Boolean(gl2),
+      extensions: [...(gl.getSupportedExtensions() || [])].sort(),
+      limits: {
+        ...readParameters(gl, WEBGL_LIMITS),
+        ...(gl2 ? readParameters(gl, WEBGL2_LIMITS) : {})
+      },
+      precision: readPrecision(gl),
+      aliasedLineWidthRange: Array.from(gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE) || []),
+      aliasedPointSizeRange: Array.from(gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE) || []),
+      maxAnisotropy: anisotropic ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT) : null
+    };
+  } catch (e) {
+    console.warn('WebGL能力检测失败:', e);
+    return null;
+  }
+}
+
+/**
+ * 判断是否支持某个扩展（忽略 WEBKIT_/MOZ_ 前缀）
+ * @param {Object} profile WebGL能力画像
+ * @param {string} name 扩展名称
+ * @returns {boolean}
+ */
+export function hasExtension(profile, name) {
+  return (profile.extensions || []).some(extension => extension.replace(/^(WEBKIT|MOZ)_/, '') === name);
+}
+
 /**
  * 检测是否包含Apple相关信息
  * @param {Object} webglInfo WebGL信息对象
@@ -59,20 +170,142 @@ export function isAngleMetal(webglInfo) {
          renderer.toLowerCase().includes('metal');
 }
 
+/**
+ * 显卡厂商标识，按优先级排列
+ * 软件渲染器的字符串中可能带有真实硬件厂商，必须最先判断；
+ * ANGLE(Metal) 在搭载Intel/AMD显卡的Mac上也会出现，Apple排在最后；
+ * 同时兼容WebGPU适配器信息中的厂商名（如 "arm"、"img-tec"）
+ */
+const GPU_VENDORS = [
+  { vendor: 'software', pattern: /swiftshader|llvmpipe|softpipe|basic render driver/ },
+  { vendor: 'nvidia', pattern: /nvidia|geforce|quadro/ },
+  { vendor: 'amd', pattern: /amd|radeon/ },
+  { vendor: 'intel', pattern: /intel/ },
+  { vendor: 'qualcomm', pattern: /qualcomm|adreno/ },
+  { vendor: 'arm', pattern: /mali|\barm\b/ },
+  { vendor: 'imagination', pattern: /powervr|imagination|img-tec/ },
+  { vendor: 'samsung', pattern: /xclipse|samsung/ },
+  { vendor: 'apple', pattern: /apple|metal/ }
+];
+
+/**
+ * 显卡系列与型号，型号取匹配到的原始文本
+ */
+const GPU_MODELS = [
+  { family: 'SwiftShader', pattern: /swiftshader/i },
+  { family: 'llvmpipe', pattern: /llvmpipe|softpipe/i },
+  { family: 'Microsoft Basic Render Driver', pattern: /microsoft basic render driver/i },
+  { family: 'GeForce', pattern: /geforce\s+(?:(?:rtx|gtx|gt|mx)\s*)?\d+(?:\s*(?:ti|super))?/i },
+  { family: 'Quadro', pattern: /quadro\s+\w+|rtx\s+a\d+/i },
+  { family: 'Radeon', pattern: /radeon\s+(?:(?:rx|pro|r\d)\s+)?\w+(?:\s+xtx?)?/i },
+  { family: 'Intel', pattern: /iris\s*(?:xe|plus|pro)?(?:\s+graphics)?(?:\s+\d+)?|(?:uhd|hd)\s+graphics(?:\s+\d+)?|xe\s+graphics|arc\s+a\d+\w*/i, prefix: 'Intel ' },
+  { family: 'Adreno', pattern: /adreno\s*\d+\w*(?:\s+gen\s*\d+)?/i },
+  { family: 'Mali', pattern: /mali-?\s*[a-z]?\d+/i },
+  { family: 'PowerVR', pattern: /powervr\s+(?:rogue\s+)?[a-z]*\d+\w*/i },
+  { family: 'Xclipse', pattern: /xclipse\s*\d+/i },
+  { family: 'Apple', pattern: /apple\s+(?:m\d+(?:\s+(?:pro|max|ultra))?|a\d+\w*)\b/i }
+];
+
+/**
+ * 没有具体型号时使用的系列名称
+ */
+const VENDOR_FAMILIES = {
+  nvidia: 'GeForce',
+  amd: 'Radeon',
+  intel: 'Intel',
+  qualcomm: 'Adreno',
+  arm: 'Mali',
+  imagination: 'PowerVR',
+  samsung: 'Xclipse',
+  apple: 'Apple'
+};
+
+/**
+ * ANGLE图形后端
+ */
+const ANGLE_BACKENDS = [
+  { backend: 'D3D11', pattern: /direct3d11|d3d11/i },
+  { backend: 'D3D9', pattern: /direct3d9|d3d9/i },
+  { backend: 'Metal', pattern: /metal/i },
+  { backend: 'Vulkan', pattern: /vulkan/i },
+  { backend: 'OpenGL ES', pattern: /opengl es/i },
+  { backend: 'OpenGL', pattern: /opengl/i }
+];
+
 /**
  * 检测显卡厂商类型
  * @param {Object} webglInfo WebGL信息对象
- * @returns {string} 厂商类型：'nvidia', 'amd', 'intel', 'apple', 'unknown'
+ * @returns {string} 厂商类型：'nvidia', 'amd', 'intel', 'apple', 'qualcomm', 'arm',
+ *   'imagination', 'samsung', 'software', 'unknown'
  */
 export function getGPUVendor(webglInfo) {
-  if (!webglInfo) return 'unknown';
+  if (!webglInfo) {
+    return 'unknown';
+  }
 
   const combined = `${webglInfo.vendor} ${webglInfo.renderer}`.toLowerCase();
+  const matched = GPU_VENDORS.find(({ pattern }) => pattern.test(combined));
 
-  if (combined.includes('nvidia') || combined.includes('geforce')) return 'nvidia';
-  if (combined.includes('amd') || combined.includes('radeon')) return 'amd';
-  if (combined.includes('intel')) return 'intel';
-  if (combined.includes('apple') || combined.includes('metal')) return 'apple';
+  return matched ? matched.vendor : 'unknown';
+}
 
-  return 'unknown';
-}
\ No newline at end of file
+/**
+ * 由厂商和渲染器字符串派生WebGL判定字段
+ * 原始信号只保存采集到的字符串，派生字段在计分时计算，修改渲染器后随之更新
+ * @param {Object} webgl WebGL信号
+ * @returns {Object} 补充了 containsApple、angleMetal、gpuVendor 的新信号对象
+ */
+export function deriveWebGLSignal(webgl) {
+  if (!webgl.available) {
+    return { ...webgl, containsApple: false, angleMetal: false, gpuVendor: 'unknown' };
+  }
+
+  return {
+    ...webgl,
+    containsApple: containsApple(webgl),
+    angleMetal: isAngleMetal(webgl),
+    gpuVendor: getGPUVendor(webgl)
+  };
+}
+
+/**
+ * 解析渲染器字符串
+ * @param {Object} webglInfo WebGL信息对象
+ * @returns {Object} { vendor, family, model, backend }，如
+ *   { vendor: 'qualcomm', family: 'Adreno', model: 'Adreno 740', backend: null }，无法识别的字段为null
+ */
+export function parseRenderer(webglInfo) {
+  if (!webglInfo || !webglInfo.renderer) {
+    return { vendor: 'unknown', family: null, model: null, backend: null };
+  }
+
+  // 去掉商标符号，"Adreno (TM) 740" → "Adreno 740"
+  const renderer = webglInfo.renderer
+    .replace(/\((?:tm|r)\)/gi, '')
+    .replace(/\s+/g, ' ');
+  const vendor = getGPUVendor(webglInfo);
+
+  const model = GPU_MODELS.find(({ pattern }) => pattern.test(renderer));
+  const matched = model && renderer.match(model.pattern)[0].trim();
+  const backend = /angle/i.test(renderer)
+    ? ANGLE_BACKENDS.find(({ pattern }) => pattern.test(renderer))
+    : null;
+
+  return {
+    vendor,
+    family: model ? model.family : VENDOR_FAMILIES[vendor] || null,
+    model: matched ? `${model.prefix || ''}${matched}` : null,
+    backend: backend ? backend.backend : null
+  };
+}
+
+/**
+ * 判断是否为移动GPU
+ * Windows on ARM 上的Adreno经由ANGLE D3D后端渲染，不视为移动GPU
+ * @param {Object} gpu 渲染器解析结果
+ * @returns {boolean}
+ */
+export function isMobileGPU(gpu) {
+  const mobileVendors = ['qualcomm', 'arm', 'imagination', 'samsung'];
+  return mobileVendors.includes(gpu.vendor) && !/^D3D/.test(gpu.backend || '');
+}
@@ -0,0 +1,110 @@
+/**
+ * WebGPU检测模块
+ * 请求GPU适配器并读取适配器信息、特性和限制参数；
+ * 在 WEBGL_debug_renderer_info 被屏蔽时仍可能给出显卡厂商和架构
+ */
+
+import { getGPUVendor } from './webgl.js';
+
+/**
+ * 需要读取的适配器限制参数
+ * GPUSupportedLimits 的属性定义在原型上，无法直接展开，按名称逐个读取
+ * @type {Array<string>}
+ */
+export const WEBGPU_LIMITS = [
+  'maxTextureDimension2D',
+  'maxTextureArrayLayers',
+  'maxBindGroups',
+  'maxSampledTexturesPerShaderStage',
+  'maxStorageBuffersPerShaderStage',
+  'maxStorageBufferBindingSize',
+  'maxBufferSize',
+  'maxVertexBuffers',
+  'maxColorAttachments',
+  'maxComputeWorkgroupStorageSize',
+  'maxComputeInvocationsPerWorkgroup',
+  'maxComputeWorkgroupSizeX'
+];
+
+/**
+ * 读取适配器信息
+ * 新版浏览器提供同步的 adapter.info，旧版Chrome需要调用 requestAdapterInfo()
+ * @param {GPUAdapter} adapter GPU适配器
+ * @returns {Promise<Object>} { vendor, architecture, device, description }
+ */
+async function readAdapterInfo(adapter) {
+  const info = adapter.info ||
+    (typeof adapter.requestAdapterInfo === 'function' ? await adapter.requestAdapterInfo() : {});
+
+  return {
+    vendor: info.vendor || '',
+    architecture: info.architecture || '',
+    device: info.device || '',
+    description: info.description || ''
+  };
+}
+
+/**
+ * 获取WebGPU适配器信息
+ * @returns {Promise<Object>} WebGPU检测结果
+ */
+export async function getWebGPUInfo() {
+  const result = {
+    supported: false,
+    available: false,
+    vendor: '',
+    architecture: '',
+    device: '',
+    description: '',
+    gpuVendor: 'unknown',
+    isFallbackAdapter: false,
+    preferredFormat: null,
+    features: [],
+    limits: {},
+    error: null
+  };
+
+  if (!('gpu' in navigator) || typeof navigator.gpu.requestAdapter !== 'function') {
+    return result;
+  }
+  result.supported = true;
+
+  try {
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) {
+      result.error = '没有可用的GPU适配器';
+      return result;
+    }
+
+    const info = await readAdapterInfo(adapter);
+    Object.assign(result, info);
+    result.available = true;
+    result.gpuVendor = getGPUVendor({
+      vendor: info.vendor,
+      renderer: `${info.architecture} ${info.device} ${info.description}`
+    });
+    result.isFallbackAdapter = Boolean(adapter.isFallbackAdapter || adapter.info?.isFallbackAdapter);
+    result.preferredFormat = typeof navigator.gpu.getPreferredCanvasFormat === 'function'
+      ? navigator.gpu.getPreferredCanvasFormat()
+      : null;
+    result.features = [...adapter.features].sort();
+    result.limits = Object.fromEntries(
+      WEBGPU_LIMITS.filter(name => name in adapter.limits).map(name => [name, adapter.limits[name]])
+    );
+  } catch (error) {
+    result.error = `WebGPU适配器获取失败: ${error.message}`;
+  }
+
+  return result;
+}
+
+/**
+ * 生成适配器描述
+ * @param {Object} webgpu WebGPU检测结果
+ * @returns {string} 如 "nvidia · ampere"
+ */
+export function describeAdapter(webgpu) {
+  return [webgpu.vendor, webgpu.architecture, webgpu.device, webgpu.description]
+    .filter(Boolean)
+    .join(' · ') || '适配器信息被浏览器隐藏';
+}
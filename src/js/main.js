@@ -9,8 +9,31 @@
  * @license MIT
  */
 
-import { DeviceDetectionEngine } from './detector/engine.js';
-import { $ } from './utils/dom.js';
+import { DeviceDetectionEngine, DETECTOR_STATUS_LABELS } from './detector/engine.js';
+import { VERDICT_LABELS } from './detector/consistency.js';
+import { formatDeviceLabel } from './detector/device-class.js';
+import { formatOSVersion } from './detector/version.js';
+import { formatHardwareProfile } from './detector/hardware.js';
+import { SignalEditor } from './ui/signal-editor.js';
+import { HistoryView } from './ui/history-view.js';
+import { DetectionHistory } from './utils/history.js';
+import {
+  $,
+  addStep,
+  escapeHTML,
+  updateBrowserSummary,
+  updateConfidence,
+  updateConsistency,
+  updateHardwareProfile,
+  updateScoreBoard,
+  updateTimingTable
+} from './utils/dom.js';
+
+/**
+ * 旧版本保存检测结论的 localStorage 键
+ * @type {string}
+ */
+const LEGACY_STORAGE_KEY = 'hcf_detection_result';
 
 /**
  * 应用程序主类
@@ -19,6 +42,58 @@ class DeviceDetectorApp {
   constructor() {
     this.engine = new DeviceDetectionEngine();
     this.isDetecting = false;
+    this.signalEditor = null;
+    this.history = new DetectionHistory();
+    this.historyView = null;
+    this.bindEngineEvents();
+  }
+
+  /**
+   * 订阅检测引擎事件，将检测过程渲染到页面
+   */
+  bindEngineEvents() {
+    this.engine.on('step', addStep);
+
+    // 计分开始时清空步骤列表，用正式步骤替换采集阶段的预览步骤
+    this.engine.on('evaluate', () => {
+      const stepsContainer = $('#steps');
+      if (stepsContainer) {
+        stepsContainer.innerHTML = '';
+      }
+    });
+
+    // 进度条按已完成的采集器数量推进，计分完成后改为显示置信度
+    this.engine.on('progress', ({ completed, total }) => {
+      const statusEl = $('#summary');
+      if (statusEl) {
+        statusEl.innerHTML = `<span class="status-text">正在检测设备... (${completed}/${total})</span>`;
+      }
+
+      const barEl = $('#confBar');
+      if (barEl) {
+        const percent = Math.round((completed / total) * 100);
+        barEl.style.width = `${percent}%`;
+        barEl.setAttribute('aria-valuenow', percent);
+      }
+    });
+
+    this.engine.on('result', result => {
+      const osLabel = formatOSVersion(result.os, result.version);
+      const model = result.deviceModel?.matched
+        ? ` · 可能是 ${result.deviceModel.best} (${result.deviceModel.confidence}%)`
+        : '';
+      updateConfidence(`${formatDeviceLabel(osLabel, result.deviceClass)}${model}`, result.confidence);
+      updateScoreBoard(result.scores, result.probabilities);
+      if (result.consistency) {
+        updateConsistency(result.consistency, VERDICT_LABELS[result.consistency.verdict]);
+      }
+      updateBrowserSummary(result.browser);
+      updateScoreBoard(result.browserScores, result.browserProbabilities, '#browserBoard');
+      updateScoreBoard(result.engineScores, result.engineProbabilities, '#engineBoard');
+      if (result.signals.hardware) {
+        updateHardwareProfile(formatHardwareProfile(result.signals.hardware));
+      }
+    });
   }
 
   /**
@@ -34,12 +109,12 @@ class DeviceDetectorApp {
       });
     }
 
+    this.signalEditor = new SignalEditor($('#signalEditor'), signals => this.rescore(signals));
+    this.historyView = new HistoryView($('#historyView'), this.history);
+
     // 显示加载状态
     this.showLoadingState();
 
-    // 延迟一小段时间让用户看到加载效果
-    await new Promise(resolve => setTimeout(resolve, 500));
-
     // 开始检测
     await this.startDetection();
   }
@@ -89,8 +164,19 @@ class DeviceDetectorApp {
 
       console.log('检测完成:', result);
 
-      // 可选：保存检测结果到本地存储
-      this.saveDetectionResult(result);
+      // 各检测器的状态和耗时；部分检测器失败时结论仅基于其余信号
+      updateTimingTable(result.timings, DETECTOR_STATUS_LABELS);
+      const statusEl = $('#summary');
+      if (result.partial && statusEl) {
+        statusEl.insertAdjacentHTML('beforeend', '<span class="status-text">（部分检测器或规则超时、出错）</span>');
+      }
+
+      // 信号编辑器基于本次采集的信号做假设分析
+      this.signalEditor.load(result.signals);
+
+      // 保存到检测历史，并刷新历史面板（默认比较最近两次检测）
+      await this.saveDetectionResult(result);
+      await this.historyView.refresh();
 
     } catch (error) {
       console.error('检测过程中发生错误:', error);
@@ -101,23 +187,40 @@ class DeviceDetectorApp {
   }
 
   /**
-   * 保存检测结果到本地存储
-   * @param {Object} result 检测结果
+   * 用编辑后的信号重新计分
+   * 只调用 evaluate()，不重新探测浏览器；步骤、评分和置信度通过引擎事件刷新
+   * @param {Object} signals 编辑后的信号
+   */
+  rescore(signals) {
+    if (this.isDetecting) {
+      return;
+    }
+
+    const barEl = $('#confBar');
+    if (barEl) {
+      barEl.classList.remove('error');
+    }
+
+    try {
+      this.engine.evaluate(signals);
+    } catch (error) {
+      console.error('重新计分失败:', error);
+      this.showErrorState(error);
+    }
+  }
+
+  /**
+   * 保存检测结果到检测历史（IndexedDB）
+   * 保存失败（如隐私模式禁用存储）不影响检测结果的展示
+   * @param {Object} result startDetection() 的检测结果
+   * @returns {Promise<void>}
    */
-  saveDetectionResult(result) {
+  async saveDetectionResult(result) {
     try {
-      const detectionData = {
-        timestamp: new Date().toISOString(),
-        result: result,
-        userAgent: navigator.userAgent,
-        viewport: {
-          width: window.innerWidth,
-          height: window.innerHeight
-        }
-      };
-
-      localStorage.setItem('hcf_detection_result', JSON.stringify(detectionData));
-      console.log('检测结果已保存到本地存储');
+      const id = await this.history.add(result);
+      console.log(`检测结果已保存到检测历史 #${id}`);
+      // 旧版本只在 localStorage 中保存最近一次的结论，已由检测历史取代
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
     } catch (e) {
       console.warn('无法保存检测结果:', e);
     }
@@ -130,7 +233,7 @@ class DeviceDetectorApp {
   showErrorState(error) {
     const statusEl = $('#summary');
     if (statusEl) {
-      statusEl.innerHTML = `<span class="status-text error">检测失败: ${error.message}</span>`;
+      statusEl.innerHTML = `<span class="status-text error">检测失败: ${escapeHTML(error.message)}</span>`;
     }
 
     const barEl = $('#confBar');
@@ -151,12 +254,11 @@ class DeviceDetectorApp {
 
   /**
    * 导出检测数据
-   * @returns {Object|null} 检测数据
+   * @returns {Promise<Array<Object>|null>} 全部检测历史，最新的在前
    */
-  exportDetectionData() {
+  async exportDetectionData() {
     try {
-      const saved = localStorage.getItem('hcf_detection_result');
-      return saved ? JSON.parse(saved) : null;
+      return await this.history.list();
     } catch (e) {
       console.error('无法导出检测数据:', e);
       return null;
@@ -0,0 +1,299 @@
+/**
+ * 检测历史面板
+ * 列出保存在 IndexedDB 中的历史检测，选择任意两次检测后展示结论、后验概率、规则判定和原始信号的差异
+ */
+
+import { diffRuns } from '../utils/history.js';
+
+/**
+ * 单个值的最大展示长度
+ * @type {number}
+ */
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * 信号变化类型的展示文字和徽章样式
+ * @type {Object<string, {label: string, badge: string}>}
+ */
+const CHANGE_LABELS = {
+  added: { label: '新增', badge: 'success' },
+  removed: { label: '移除', badge: 'error' },
+  changed: { label: '变化', badge: 'warning' }
+};
+
+/**
+ * 格式化信号值
+ * @param {*} value 信号值，undefined表示该项不存在
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined) {
+    return '—';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+/**
+ * 描述两个数组之间增删的元素
+ * 列表类信号（如已检测字体）通常只增删少数几项，逐项列出比整体展示更容易看出变化
+ * @param {*} before 基准值
+ * @param {*} after 对比值
+ * @returns {string|null} 如 "+Menlo −Consolas"，不是两个元素均为基本类型的数组时返回null
+ */
+function describeArrayChange(before, after) {
+  const isPrimitiveArray = value => Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+  if (!isPrimitiveArray(before) || !isPrimitiveArray(after)) {
+    return null;
+  }
+  const added = after.filter(item => !before.includes(item)).map(item => `+${item}`);
+  const removed = before.filter(item => !after.includes(item)).map(item => `−${item}`);
+  return [...added, ...removed].join(' ') || '顺序变化';
+}
+
+/**
+ * 格式化检测时间
+ * @param {string} timestamp ISO时间
+ * @returns {string}
+ */
+const formatTime = timestamp => new Date(timestamp).toLocaleString();
+
+/**
+ * 生成检测记录的选项文字
+ * @param {Object} record 检测记录
+ * @returns {string} 如 "#12 · 2024/9/30 10:00:00 · macOS 98%"
+ */
+const describeRecord = record => `#${record.id} · ${formatTime(record.timestamp)} · ${record.os} ${record.confidence}%`;
+
+/**
+ * 创建表格
+ * @param {Array<string>} headers 表头
+ * @param {Array<Array<string|Element>>} rows 单元格内容，字符串按纯文本写入
+ * @returns {HTMLTableElement}
+ */
+function createTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'history-table';
+
+  const headRow = table.createTHead().insertRow();
+  headers.forEach(header => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = header;
+    headRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(content => {
+      const cell = row.insertCell();
+      if (content instanceof Element) {
+        cell.appendChild(content);
+      } else {
+        cell.textContent = content;
+      }
+    });
+  });
+
+  return table;
+}
+
+/**
+ * 创建徽章
+ * @param {string} text 文字
+ * @param {string} type 徽章样式
+ * @returns {HTMLSpanElement}
+ */
+function createBadge(text, type) {
+  const badge = document.createElement('span');
+  badge.className = `step-badge ${type}`;
+  badge.textContent = text;
+  return badge;
+}
+
+/**
+ * 格式化规则判定
+ * @param {Object|null} state { ok, weight }
+ * @returns {string}
+ */
+function formatRuleState(state) {
+  if (!state) {
+    return '—';
+  }
+  const weight = state.weight !== null && state.ok ? ` (${state.weight})` : '';
+  return `${state.ok ? '触发' : '未触发'}${weight}`;
+}
+
+/**
+ * 检测历史面板
+ */
+export class HistoryView {
+  /**
+   * @param {Element} container 面板容器
+   * @param {Object} history 检测历史存储（DetectionHistory 实例）
+   */
+  constructor(container, history) {
+    this.container = container;
+    this.history = history;
+    this.records = [];
+  }
+
+  /**
+   * 重新读取历史并渲染，默认比较最近两次检测
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.container) {
+      return;
+    }
+
+    try {
+      this.records = await this.history.list();
+    } catch (error) {
+      const message = document.createElement('span');
+      message.className = 'mono-text';
+      message.textContent = `无法读取检测历史: ${error.message}`;
+      this.container.replaceChildren(message);
+      return;
+    }
+
+    this.render();
+  }
+
+  /**
+   * 渲染面板
+   */
+  render() {
+    if (!this.records.length) {
+      this.container.innerHTML = '<span class="mono-text">暂无检测历史</span>';
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="history-toolbar">
+        <label class="history-select-label">基准
+          <select class="history-select history-before" aria-label="基准检测"></select>
+        </label>
+        <label class="history-select-label">对比
+          <select class="history-select history-after" aria-label="对比检测"></select>
+        </label>
+        <button type="button" class="btn secondary history-clear">清空历史</button>
+      </div>
+      <p class="history-summary" role="status" aria-live="polite"></p>
+      <div class="history-diff"></div>
+    `;
+
+    const beforeSelect = this.container.querySelector('.history-before');
+    const afterSelect = this.container.querySelector('.history-after');
+    [beforeSelect, afterSelect].forEach(select => {
+      this.records.forEach(record => {
+        select.add(new Option(describeRecord(record), String(record.id)));
+      });
+      select.addEventListener('change', () => this.compare());
+    });
+
+    // 记录按时间倒序排列：对比最新一次，基准为上一次
+    afterSelect.selectedIndex = 0;
+    beforeSelect.selectedIndex = Math.min(1, this.records.length - 1);
+
+    this.container.querySelector('.history-clear').addEventListener('click', () => this.clear());
+    this.compare();
+  }
+
+  /**
+   * 比较两个下拉框选中的检测
+   */
+  compare() {
+    const find = selector => {
+      const id = Number(this.container.querySelector(selector).value);
+      return this.records.find(record => record.id === id);
+    };
+    const before = find('.history-before');
+    const after = find('.history-after');
+    const summaryEl = this.container.querySelector('.history-summary');
+    const diffEl = this.container.querySelector('.history-diff');
+    diffEl.innerHTML = '';
+
+    if (before === after) {
+      summaryEl.textContent = `共 ${this.records.length} 次检测，选择两次不同的检测查看差异`;
+      return;
+    }
+
+    const diff = diffRuns(before, after);
+    const { verdict } = diff;
+    summaryEl.textContent = [
+      `结论: ${verdict.before.os} ${verdict.before.confidence}% → ${verdict.after.os} ${verdict.after.confidence}%`,
+      `浏览器: ${verdict.before.browser} → ${verdict.after.browser}`,
+      `${diff.signals.length} 项信号变化`
+    ].join(' · ');
+
+    this.renderSection(diffEl, '后验概率', diff.probabilities.length && createTable(
+      ['维度', '候选项', '基准', '对比', '变化'],
+      diff.probabilities.map(item => [
+        item.label,
+        item.candidate,
+        `${item.before}%`,
+        `${item.after}%`,
+        `${item.delta > 0 ? '+' : ''}${item.delta}%`
+      ])
+    ));
+
+    this.renderSection(diffEl, '规则判定', diff.steps.length && createTable(
+      ['规则', '基准', '对比'],
+      diff.steps.map(step => [step.title, formatRuleState(step.before), formatRuleState(step.after)])
+    ));
+
+    this.renderSection(diffEl, '原始信号', diff.signals.length && createTable(
+      ['信号', '', '基准', '对比'],
+      diff.signals.map(({ path, change, before: from, after: to }) => {
+        const arrayChange = describeArrayChange(from, to);
+        return [
+          path,
+          createBadge(CHANGE_LABELS[change].label, CHANGE_LABELS[change].badge),
+          arrayChange ? `${from.length} 项` : formatValue(from),
+          arrayChange ? `${to.length} 项 (${arrayChange})` : formatValue(to)
+        ];
+      })
+    ));
+  }
+
+  /**
+   * 渲染差异分组
+   * @param {Element} parent 父元素
+   * @param {string} title 分组标题
+   * @param {HTMLTableElement|0|false} table 差异表格，没有差异时为假值
+   */
+  renderSection(parent, title, table) {
+    const section = document.createElement('section');
+    section.className = 'history-section';
+
+    const heading = document.createElement('h3');
+    heading.className = 'history-section-title';
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    if (table) {
+      section.appendChild(table);
+    } else {
+      const empty = document.createElement('p');
+      empty.className = 'history-empty';
+      empty.textContent = '无变化';
+      section.appendChild(empty);
+    }
+    parent.appendChild(section);
+  }
+
+  /**
+   * 清空检测历史
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await this.history.clear();
+    } catch (error) {
+      console.warn('无法清空检测历史:', error);
+    }
+    await this.refresh();
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * 信号编辑器（开发者面板）
+ * 以扁平列表展示已采集的原始信号，修改任意一项后不重新探测浏览器，
+ * 直接用编辑后的信号重新计分，用于排查误判（例如假设 ApplePaySession 不存在、修改DPR、替换WebGL渲染器）。
+ * 列表中只有原始值，显卡厂商、User-Agent解析结果等派生字段由引擎在计分时重新推导
+ */
+
+/**
+ * 深拷贝信号，信号快照本身就是可JSON序列化的
+ * @param {Object} signals 信号对象
+ * @returns {Object}
+ */
+const clone = signals => JSON.parse(JSON.stringify(signals));
+
+/**
+ * 将嵌套信号展开为叶子节点列表
+ * @param {*} value 信号值
+ * @param {Array<string>} [path] 当前路径
+ * @returns {Array<{path: Array<string>, value: *}>}
+ */
+export function flattenSignals(value, path = []) {
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => flattenSignals(child, [...path, key]));
+  }
+  return [{ path, value }];
+}
+
+/**
+ * 按路径写入信号值
+ * @param {Object} target 信号对象
+ * @param {Array<string>} path 路径
+ * @param {*} value 新值
+ */
+function setPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], target);
+  parent[path[path.length - 1]] = value;
+}
+
+/**
+ * 按路径读取信号值
+ * @param {Object} target 信号对象
+ * @param {Array<string>} path 路径
+ * @returns {*}
+ */
+function getPath(target, path) {
+  return path.reduce((node, key) => node[key], target);
+}
+
+/**
+ * 根据原始值类型创建输入控件
+ * @param {*} value 原始值
+ * @returns {HTMLInputElement}
+ */
+function createInput(value) {
+  const input = document.createElement('input');
+  input.className = 'signal-input';
+
+  if (typeof value === 'boolean') {
+    input.type = 'checkbox';
+    input.checked = value;
+  } else if (typeof value === 'number') {
+    input.type = 'number';
+    input.step = 'any';
+    input.value = String(value);
+  } else {
+    input.type = 'text';
+    input.value = value === null ? '' : String(value);
+    input.placeholder = value === null ? 'null' : '';
+  }
+
+  return input;
+}
+
+/**
+ * 读取输入控件的值，类型与原始值保持一致
+ * 原始值为null的项按JSON解析，无法解析时作为字符串
+ * @param {HTMLInputElement} input 输入控件
+ * @param {*} original 原始值
+ * @returns {*}
+ */
+function readInput(input, original) {
+  if (typeof original === 'boolean') {
+    return input.checked;
+  }
+  if (typeof original === 'number') {
+    return input.value === '' ? null : Number(input.value);
+  }
+  if (original === null) {
+    if (input.value === '') {
+      return null;
+    }
+    try {
+      return JSON.parse(input.value);
+    } catch (e) {
+      return input.value;
+    }
+  }
+  return input.value;
+}
+
+/**
+ * 信号编辑器
+ */
+export class SignalEditor {
+  /**
+   * @param {Element} container 面板容器
+   * @param {function(Object): void} onChange 信号被修改或重置后调用，参数为编辑后的信号
+   */
+  constructor(container, onChange) {
+    this.container = container;
+    this.onChange = onChange;
+    this.original = null;
+    this.signals = null;
+    this.modified = new Set();
+  }
+
+  /**
+   * 载入一次实时检测采集到的信号
+   * @param {Object} signals 以采集器ID为键的信号对象
+   */
+  load(signals) {
+    this.original = clone(signals);
+    this.signals = clone(signals);
+    this.modified.clear();
+    this.render();
+  }
+
+  /**
+   * 获取编辑后的信号
+   * @returns {Object}
+   */
+  getSignals() {
+    return clone(this.signals);
+  }
+
+  /**
+   * 撤销全部修改并重新计分
+   */
+  reset() {
+    this.load(this.original);
+    this.onChange(this.getSignals());
+  }
+
+  /**
+   * 渲染面板
+   */
+  render() {
+    if (!this.container || !this.signals) {
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="signal-editor-toolbar">
+        <input type="search" class="signal-filter" placeholder="筛选信号，如 webgl.renderer" aria-label="筛选信号">
+        <span class="mono-text signal-modified-count"></span>
+        <button type="button" class="btn secondary signal-reset">恢复原始信号</button>
+      </div>
+      <div class="signal-editor-list"></div>
+    `;
+
+    const list = this.container.querySelector('.signal-editor-list');
+    Object.keys(this.signals).forEach(group => {
+      const section = document.createElement('fieldset');
+      section.className = 'signal-group';
+      const legend = document.createElement('legend');
+      legend.className = 'signal-group-title';
+      legend.textContent = group;
+      section.appendChild(legend);
+      flattenSignals(this.signals[group], [group]).forEach(({ path, value }) => {
+        section.appendChild(this.createRow(path, value));
+      });
+      list.appendChild(section);
+    });
+
+    this.container.querySelector('.signal-filter')
+      .addEventListener('input', event => this.filter(event.target.value));
+    this.container.querySelector('.signal-reset')
+      .addEventListener('click', () => this.reset());
+    this.updateModifiedCount();
+  }
+
+  /**
+   * 创建单个信号的编辑行
+   * @param {Array<string>} path 信号路径
+   * @param {*} value 当前值
+   * @returns {HTMLLabelElement}
+   */
+  createRow(path, value) {
+    const key = path.join('.');
+    const original = getPath(this.original, path);
+    const row = document.createElement('label');
+    row.className = 'signal-row';
+    row.dataset.path = key;
+
+    const name = document.createElement('span');
+    name.className = 'signal-name';
+    name.textContent = path.slice(1).join('.') || path[0];
+
+    const input = createInput(value);
+    input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+      const next = readInput(input, original);
+      setPath(this.signals, path, next);
+
+      if (next === original) {
+        this.modified.delete(key);
+      } else {
+        this.modified.add(key);
+      }
+      row.classList.toggle('modified', this.modified.has(key));
+      this.updateModifiedCount();
+      this.onChange(this.getSignals());
+    });
+
+    row.append(name, input);
+    return row;
+  }
+
+  /**
+   * 按路径筛选信号
+   * @param {string} keyword 关键字
+   */
+  filter(keyword) {
+    const query = keyword.trim().toLowerCase();
+    this.container.querySelectorAll('.signal-row').forEach(row => {
+      row.hidden = Boolean(query) && !row.dataset.path.toLowerCase().includes(query);
+    });
+    this.container.querySelectorAll('.signal-group').forEach(section => {
+      section.hidden = !section.querySelector('.signal-row:not([hidden])');
+    });
+  }
+
+  /**
+   * 更新已修改项计数
+   */
+  updateModifiedCount() {
+    const countEl = this.container.querySelector('.signal-modified-count');
+    countEl.textContent = this.modified.size ? `已修改 ${this.modified.size} 项` : '';
+  }
+}
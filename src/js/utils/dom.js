@@ -16,26 +16,48 @@ export const $ = (selector) => document.querySelector(selector);
  */
 export const $$ = (selector) => document.querySelectorAll(selector);
 
+/**
+ * HTML特殊字符的转义
+ */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * 转义插入innerHTML的文本
+ * 渲染器、User-Agent、Client Hints 等字符串由设备上报，也可以在信号编辑器中任意修改，不能按HTML解析
+ * @param {*} value 文本
+ * @returns {string}
+ */
+export const escapeHTML = value => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 /**
  * 添加检测步骤到页面
  * @param {Object} options 配置选项
  * @param {boolean} options.ok 是否触发
  * @param {string} options.title 步骤标题
  * @param {string} options.detail 详细信息
- * @param {number} options.weight 权重
+ * @param {number} options.weight 权重，负数表示排除性证据
  * @param {Array<string>} options.targets 目标平台列表
+ * @param {boolean} [options.provisional] 是否为采集阶段的预览步骤，计分开始后会被正式步骤替换
  */
-export function addStep({ok, title, detail, weight, targets = []}) {
+export function addStep({ok, title, detail, weight, targets = [], provisional = false}) {
   const li = document.createElement('li');
-  li.className = 'step-item';
+  li.className = ['step-item', !ok && 'step-unfired', provisional && 'step-provisional'].filter(Boolean).join(' ');
   li.innerHTML = `
     <div class="step-badges" style="margin-bottom:6px">
       <span class="step-badge ${ok ? 'success' : 'error'}">${ok ? '✅ 触发' : '✖ 未触发'}</span>
-      ${weight ? `<span class="step-badge warning">权重 ${weight}</span>` : ''}
-      ${targets.length ? `<span class="step-badge neutral">${targets.join(' · ')}</span>` : ''}
+      ${provisional ? '<span class="step-badge neutral">预览</span>' : ''}
+      ${weight > 0 ? `<span class="step-badge warning">权重 ${weight}</span>` : ''}
+      ${weight < 0 ? `<span class="step-badge error">排除 ${weight}</span>` : ''}
+      ${targets.length ? `<span class="step-badge neutral">${escapeHTML(targets.join(' · '))}</span>` : ''}
     </div>
-    <div class="step-title">${title}</div>
-    ${detail ? `<div class="step-detail">${detail}</div>` : ''}
+    <div class="step-title">${escapeHTML(title)}</div>
+    ${detail ? `<div class="step-detail">${escapeHTML(detail)}</div>` : ''}
   `;
   $('#steps').appendChild(li);
 }
@@ -50,7 +72,7 @@ export function updateConfidence(os, confidence) {
   const barEl = $('#confBar');
 
   if (statusEl) {
-    statusEl.innerHTML = `<span class="status-text">检测完成：<strong>${os}</strong> (${confidence}% 置信度)</span>`;
+    statusEl.innerHTML = `<span class="status-text">检测完成：<strong>${escapeHTML(os)}</strong> (${confidence}% 置信度)</span>`;
   }
 
   if (barEl) {
@@ -61,26 +83,147 @@ export function updateConfidence(os, confidence) {
 
 /**
  * 更新评分面板
- * @param {Object} scores 各操作系统评分
+ * 同时展示原始分数和后验概率，条形长度按后验概率绘制
+ * @param {Object} scores 各候选项评分
+ * @param {Object} [probabilities] 各候选项后验概率（0~1），缺省时按分数绘制
+ * @param {string} [selector] 评分面板选择器，默认为操作系统评分面板
  */
-export function updateScoreBoard(scores) {
-  const scoreBoard = $('#scoreBoard');
+export function updateScoreBoard(scores, probabilities, selector = '#scoreBoard') {
+  const scoreBoard = $(selector);
   if (!scoreBoard) return;
 
   const maxScore = Math.max(...Object.values(scores));
+  const getWidth = (name, score) => {
+    if (probabilities) {
+      return Math.round(probabilities[name] * 100);
+    }
+    return maxScore > 0 ? Math.round((Math.max(score, 0) / maxScore) * 100) : 0;
+  };
+
   const rows = Object.entries(scores)
-    .sort((a, b) => b[1] - a[1])
-    .map(([os, score]) => {
-      const width = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+    .map(([name, score]) => ({ name, score, width: getWidth(name, score) }))
+    .sort((a, b) => b.width - a.width || b.score - a.score)
+    .map(({ name, score, width }) => {
+      const value = probabilities ? `${score} · ${width}%` : score;
       return `
         <div class="score-row">
-          <div class="score-label">${os}</div>
+          <div class="score-label">${name}</div>
           <div class="score-bar"><span style="width:${width}%"></span></div>
-          <div class="mono-text" style="width:40px;text-align:right">${score}</div>
+          <div class="mono-text" style="width:${probabilities ? 80 : 40}px;text-align:right">${value}</div>
         </div>
       `;
     })
     .join('');
 
   scoreBoard.innerHTML = `<div>${rows}</div>`;
-}
\ No newline at end of file
+}
+
+/**
+ * 更新浏览器识别结果
+ * @param {Object} browser 浏览器识别结果
+ * @param {string} browser.name 浏览器名称
+ * @param {string|null} browser.version 浏览器版本
+ * @param {number} browser.confidence 浏览器置信度
+ * @param {string} browser.engine 渲染引擎
+ * @param {number} browser.engineConfidence 渲染引擎置信度
+ */
+export function updateBrowserSummary(browser) {
+  const summaryEl = $('#browserSummary');
+  if (!summaryEl) {
+    return;
+  }
+
+  const version = browser.version ? ` ${browser.version}` : '';
+  summaryEl.innerHTML = `
+    <span class="status-text">
+      <strong>${escapeHTML(browser.name + version)}</strong> (${browser.confidence}% 置信度) ·
+      ${escapeHTML(browser.engine)} 引擎 (${browser.engineConfidence}%)
+    </span>
+  `;
+}
+
+/**
+ * 更新一致性检查结论
+ * @param {Object} consistency 一致性检查结果
+ * @param {string} label 结论说明文字
+ */
+export function updateConsistency(consistency, label) {
+  const statusEl = $('#consistencyStatus');
+  if (!statusEl) {
+    return;
+  }
+
+  const ok = consistency.conflicts.length === 0;
+  const conflicts = consistency.conflicts
+    .map(({ evidence }) => `<span class="step-badge neutral">${escapeHTML(evidence)}</span>`)
+    .join('');
+
+  statusEl.innerHTML = `
+    <div class="step-badges">
+      <span class="step-badge ${ok ? 'success' : 'warning'}">${escapeHTML(label)}</span>
+      ${conflicts}
+    </div>
+  `;
+}
+
+/**
+ * 更新硬件概况卡片
+ * @param {Array<{label: string, value: string}>} rows 展示行
+ */
+export function updateHardwareProfile(rows) {
+  const profileEl = $('#hardwareProfile');
+  if (!profileEl) {
+    return;
+  }
+
+  profileEl.innerHTML = rows
+    .map(({ label, value }) => `
+      <div class="info-row">
+        <dt class="info-label">${escapeHTML(label)}</dt>
+        <dd class="mono-text hardware-value">${escapeHTML(value)}</dd>
+      </div>
+    `)
+    .join('');
+}
+
+/**
+ * 检测器状态对应的徽章样式
+ */
+const TIMING_BADGES = {
+  ok: 'success',
+  unsupported: 'neutral',
+  timeout: 'warning',
+  error: 'error'
+};
+
+/**
+ * 更新检测器状态表
+ * @param {Array<Object>} timings 各检测器的运行记录 { id, status, duration, error }
+ * @param {Object<string, string>} labels 状态说明文字
+ */
+export function updateTimingTable(timings, labels) {
+  const tableEl = $('#timingTable');
+  const summaryEl = $('#timingSummary');
+  if (!tableEl) {
+    return;
+  }
+
+  tableEl.innerHTML = timings
+    .map(({ id, status, duration, error }) => `
+      <tr>
+        <td class="mono-text">${escapeHTML(id)}</td>
+        <td><span class="step-badge ${TIMING_BADGES[status] || 'neutral'}">${labels[status] || status}</span></td>
+        <td class="timing-duration">${duration} ms</td>
+        <td class="timing-error">${escapeHTML(error)}</td>
+      </tr>
+    `)
+    .join('');
+
+  if (summaryEl) {
+    const failed = timings.filter(({ status }) => status === 'timeout' || status === 'error').length;
+    // 检测器并发执行，总耗时取决于最慢的一个
+    const total = Math.max(0, ...timings.map(({ duration }) => duration));
+    const note = failed ? `；${failed} 个超时或出错，结论基于其余信号` : '';
+    summaryEl.textContent = `${timings.length} 个检测器并发执行，总耗时约 ${total} ms${note}`;
+  }
+}
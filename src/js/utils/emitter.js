@@ -0,0 +1,57 @@
+/**
+ * 事件发射器
+ * 不依赖DOM，可在浏览器和Node环境中使用
+ */
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * 订阅事件
+   * @param {string} type 事件类型
+   * @param {Function} listener 事件处理函数
+   * @returns {Function} 取消订阅函数
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * 取消订阅事件
+   * @param {string} type 事件类型
+   * @param {Function} listener 事件处理函数
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * 触发事件
+   * 单个处理函数抛出的错误不会影响其他订阅者
+   * @param {string} type 事件类型
+   * @param {*} payload 事件数据
+   */
+  emit(type, payload) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+
+    [...listeners].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`事件处理失败 (${type}):`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * 检测历史模块
+ * 在 IndexedDB 中保存每次检测的完整结果（信号、评分、步骤），并比较任意两次检测的差异，
+ * 用于排查浏览器升级、外接显示器等变化后哪些信号发生了改变
+ */
+
+/**
+ * 数据库名称
+ * @type {string}
+ */
+const DB_NAME = 'hcf-detector';
+
+/**
+ * 数据库版本
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * 检测记录存储区
+ * @type {string}
+ */
+const STORE_NAME = 'runs';
+
+/**
+ * 最多保留的检测记录数，超出时删除最早的记录
+ * @type {number}
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * 参与差异比较的后验概率，键为检测结果中的字段，值为展示名称
+ * @type {Object<string, string>}
+ */
+const PROBABILITY_AXES = {
+  probabilities: '操作系统',
+  browserProbabilities: '浏览器',
+  engineProbabilities: '渲染引擎',
+  deviceClassProbabilities: '设备类型'
+};
+
+/**
+ * 将 IDBRequest 包装为Promise
+ * @param {IDBRequest} request 请求
+ * @returns {Promise<*>}
+ */
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * 从检测结果生成历史记录
+ * 只保留可结构化克隆的字段，记录本身就是一份可重放的信号快照
+ * @param {Object} result startDetection() 的检测结果
+ * @returns {Object} 历史记录（不含 id）
+ */
+export function createHistoryRecord(result) {
+  return {
+    timestamp: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight
+    },
+    os: result.os,
+    confidence: result.confidence,
+    version: result.version,
+    browser: result.browser,
+    deviceClass: result.deviceClass,
+    deviceModel: result.deviceModel,
+    scores: result.scores,
+    ...Object.fromEntries(Object.keys(PROBABILITY_AXES).map(key => [key, result[key]])),
+    // 原始信号快照步骤与 signals 重复，不再保存
+    steps: result.steps.filter(({ ruleId }) => ruleId !== 'snapshot'),
+    timings: result.timings,
+    partial: result.partial,
+    signals: result.signals
+  };
+}
+
+/**
+ * 检测历史存储
+ */
+export class DetectionHistory {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * 打开数据库，首次调用时创建存储区
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('浏览器不支持 IndexedDB'));
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // 自增ID即保存顺序，无需额外的时间索引
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      this.dbPromise = promisify(request).catch(error => {
+        // 打开失败（如隐私模式禁用存储）后允许下次重试
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 获取存储区
+   * @param {IDBTransactionMode} mode 事务模式
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * 保存一次检测，并删除超出 HISTORY_LIMIT 的旧记录
+   * @param {Object} result startDetection() 的检测结果
+   * @returns {Promise<number>} 新记录的ID
+   */
+  async add(result) {
+    const store = await this.getStore('readwrite');
+    const id = await promisify(store.add(createHistoryRecord(result)));
+
+    const count = await promisify(store.count());
+    if (count > HISTORY_LIMIT) {
+      const keys = await promisify(store.getAllKeys(null, count - HISTORY_LIMIT));
+      await Promise.all(keys.map(key => promisify(store.delete(key))));
+    }
+    return id;
+  }
+
+  /**
+   * 列出全部检测记录，最新的在前
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const store = await this.getStore('readonly');
+    const records = await promisify(store.getAll());
+    return records.reverse();
+  }
+
+  /**
+   * 读取单条检测记录
+   * @param {number} id 记录ID
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(id) {
+    const store = await this.getStore('readonly');
+    return promisify(store.get(id));
+  }
+
+  /**
+   * 清空检测历史
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this.getStore('readwrite');
+    await promisify(store.clear());
+  }
+}
+
+/**
+ * 将信号展开为叶子节点
+ * 与信号编辑器不同，数组整体作为一个值比较，避免列表中插入一项导致后续下标全部显示为变化
+ * @param {*} value 信号值
+ * @param {string} [path] 当前路径
+ * @param {Map<string, *>} [leaves] 已收集的叶子节点
+ * @returns {Map<string, *>} 以点分路径为键的叶子节点
+ */
+function flattenLeaves(value, path = '', leaves = new Map()) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => flattenLeaves(child, path ? `${path}.${key}` : key, leaves));
+  } else {
+    leaves.set(path, value);
+  }
+  return leaves;
+}
+
+/**
+ * 判断两个信号值是否相同
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 比较两次检测的信号
+ * @param {Object} before 基准记录的信号
+ * @param {Object} after 对比记录的信号
+ * @returns {Array<Object>} { path, change: 'added'|'removed'|'changed', before, after }
+ */
+function diffSignals(before, after) {
+  const beforeLeaves = flattenLeaves(before);
+  const afterLeaves = flattenLeaves(after);
+  const paths = [...new Set([...beforeLeaves.keys(), ...afterLeaves.keys()])];
+
+  return paths
+    .filter(path => !isSameValue(beforeLeaves.get(path), afterLeaves.get(path)))
+    .map(path => {
+      let change = 'changed';
+      if (!beforeLeaves.has(path)) {
+        change = 'added';
+      } else if (!afterLeaves.has(path)) {
+        change = 'removed';
+      }
+      return { path, change, before: beforeLeaves.get(path), after: afterLeaves.get(path) };
+    });
+}
+
+/**
+ * 比较两次检测的后验概率
+ * @param {Object} before 基准记录
+ * @param {Object} after 对比记录
+ * @returns {Array<Object>} { axis, label, candidate, before, after, delta }，概率为百分比，按变化幅度降序
+ */
+function diffProbabilities(before, after) {
+  return Object.entries(PROBABILITY_AXES).flatMap(([axis, label]) => {
+    const from = before[axis] || {};
+    const to = after[axis] || {};
+    return [...new Set([...Object.keys(from), ...Object.keys(to)])].map(candidate => {
+      const p0 = Math.round((from[candidate] || 0) * 1000) / 10;
+      const p1 = Math.round((to[candidate] || 0) * 1000) / 10;
+      return { axis, label, candidate, before: p0, after: p1, delta: Math.round((p1 - p0) * 10) / 10 };
+    });
+  })
+    .filter(({ delta }) => delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * 比较两次检测的规则判定
+ * 按 ruleId 比较每个步骤的触发状态和权重
+ * @param {Array<Object>} before 基准记录的步骤
+ * @param {Array<Object>} after 对比记录的步骤
+ * @returns {Array<Object>} { ruleId, title, before, after }，before/after 为 { ok, weight }，规则不存在时为null
+ */
+function diffSteps(before, after) {
+  const index = steps => new Map(steps.map(step => [step.ruleId, step]));
+  const from = index(before);
+  const to = index(after);
+  const pick = step => (step ? { ok: step.ok, weight: step.weight ?? null } : null);
+
+  return [...new Set([...from.keys(), ...to.keys()])]
+    .filter(ruleId => !isSameValue(pick(from.get(ruleId)), pick(to.get(ruleId))))
+    .map(ruleId => {
+      const step = to.get(ruleId) || from.get(ruleId);
+      return { ruleId, title: step.title, before: pick(from.get(ruleId)), after: pick(to.get(ruleId)) };
+    });
+}
+
+/**
+ * 比较两次检测
+ * @param {Object} before 基准记录
+ * @param {Object} after 对比记录
+ * @returns {Object} { verdict: { before, after }, signals, probabilities, steps }
+ */
+export function diffRuns(before, after) {
+  const verdict = record => ({ os: record.os, confidence: record.confidence, browser: record.browser?.name ?? null });
+  return {
+    verdict: { before: verdict(before), after: verdict(after) },
+    signals: diffSignals(before.signals || {}, after.signals || {}),
+    probabilities: diffProbabilities(before, after),
+    steps: diffSteps(before.steps || [], after.steps || [])
+  };
+}
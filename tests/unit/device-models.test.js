@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+
+import { DEVICE_MODEL_DB, describeDeviceModel, matchDeviceModel } from '../../src/js/detector/device-models.js';
+
+describe('matchDeviceModel', () => {
+  it('按屏幕尺寸和DPR唯一匹配机型', () => {
+    const result = matchDeviceModel({ screen: [393, 852], dpr: 3, safeArea: null });
+
+    expect(result).toMatchObject({
+      matched: true,
+      best: 'iPhone 16 / 15 Pro / 15 / 14 Pro',
+      confidence: 90,
+      os: 'iOS',
+      form: 'phone'
+    });
+  });
+
+  it('横屏时交换长短边', () => {
+    expect(matchDeviceModel({ screen: [852, 393], dpr: 3 }).matched).toBe(true);
+  });
+
+  it('同一规格的多个条目平分置信度', () => {
+    const result = matchDeviceModel({ screen: [412, 915], dpr: 3.5 });
+    expect(result.best).toBe('Galaxy S20 Ultra');
+
+    const shared = [
+      { name: 'A', screen: [400, 800], dpr: 2, os: 'Android', form: 'phone' },
+      { name: 'B', screen: [400, 800], dpr: 2, os: 'Android', form: 'phone' }
+    ];
+    const split = matchDeviceModel({ screen: [400, 800], dpr: 2 }, shared);
+    expect(split.candidates.map(({ confidence }) => confidence)).toEqual([45, 45]);
+  });
+
+  it('非零安全区域排除没有Home指示条的机型', () => {
+    const models = [
+      { name: '有Home键', screen: [375, 667], dpr: 2, os: 'iOS', form: 'phone', homeIndicator: false }
+    ];
+    expect(matchDeviceModel({ screen: [375, 667], dpr: 2, safeArea: { top: 0, right: 0, bottom: 0, left: 0 } }, models).matched)
+      .toBe(true);
+    expect(matchDeviceModel({ screen: [375, 667], dpr: 2, safeArea: { top: 20, right: 0, bottom: 0, left: 0 } }, models).matched)
+      .toBe(false);
+  });
+
+  it('通用面板规格置信度较低', () => {
+    const result = matchDeviceModel({ screen: [1536, 864], dpr: 1.25 });
+    expect(result).toMatchObject({ matched: true, confidence: 45, os: 'Windows', form: 'desktop' });
+  });
+
+  it('未收录的规格和缺失的屏幕信号不匹配', () => {
+    expect(matchDeviceModel({ screen: [1234, 567], dpr: 1 }).matched).toBe(false);
+    expect(matchDeviceModel({}).matched).toBe(false);
+    expect(matchDeviceModel(undefined).matched).toBe(false);
+  });
+});
+
+describe('DEVICE_MODEL_DB', () => {
+  it('条目格式有效，屏幕尺寸按 [短边, 长边] 排列', () => {
+    DEVICE_MODEL_DB.models.forEach(model => {
+      expect(['phone', 'tablet', 'desktop'], model.name).toContain(model.form);
+      expect(model.screen[0], model.name).toBeLessThanOrEqual(model.screen[1]);
+      expect(model.dpr, model.name).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('describeDeviceModel', () => {
+  it('列出最佳匹配、屏幕规格和安全区域', () => {
+    const display = { screen: [393, 852], dpr: 3, safeArea: { top: 47, right: 0, bottom: 34, left: 0 } };
+    expect(describeDeviceModel(matchDeviceModel(display), display))
+      .toBe('可能是 iPhone 16 / 15 Pro / 15 / 14 Pro (90%) · 393×852 @3x · 安全区域 47/0/34/0');
+  });
+});
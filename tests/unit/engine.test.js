@@ -0,0 +1,58 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { DeviceDetectionEngine } from '../../src/js/detector/engine.js';
+
+const MAC_SAFARI_UA =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+describe('DeviceDetectionEngine.evaluate', () => {
+  it('不依赖DOM，返回结构化的检测结果', () => {
+    const signals = { userAgent: { ua: MAC_SAFARI_UA } };
+    const result = new DeviceDetectionEngine().evaluate(signals);
+
+    expect(result.os).toBe('macOS');
+    expect(result.confidence).toEqual(expect.any(Number));
+    expect(result.scores).toHaveProperty('macOS');
+    expect(result.signals).toBe(signals);
+    expect(result.steps.find(({ ruleId }) => ruleId === 'ua.macos')).toMatchObject({ ok: true });
+  });
+
+  it('每个步骤触发 step 事件，结束时触发 result 事件', () => {
+    const engine = new DeviceDetectionEngine();
+    const steps = [];
+    const results = [];
+    engine.on('step', step => steps.push(step));
+    engine.on('result', result => results.push(result));
+
+    const result = engine.evaluate({ userAgent: { ua: MAC_SAFARI_UA } });
+
+    expect(steps).toEqual(result.steps);
+    expect(results).toEqual([result]);
+  });
+});
+
+describe('DeviceDetectionEngine.loadWeights', () => {
+  it('只覆盖权重文件中出现的规则的 weight 和 likelihoods', () => {
+    const engine = new DeviceDetectionEngine();
+    const original = engine.rules.find(({ id }) => id === 'ua.windows');
+    const untouched = engine.rules.find(({ id }) => id === 'ua.macos');
+
+    expect(engine.loadWeights({ rules: { 'ua.windows': { weight: 3, likelihoods: { Windows: 0.9, '*': 0.05 } } } }))
+      .toBe(engine);
+
+    const calibrated = engine.rules.find(({ id }) => id === 'ua.windows');
+    expect(calibrated).toMatchObject({ weight: 3, likelihoods: { Windows: 0.9, '*': 0.05 } });
+    expect(calibrated.predicate).toBe(original.predicate);
+    expect(original.weight).not.toBe(3);
+    expect(engine.rules.find(({ id }) => id === 'ua.macos')).toBe(untouched);
+  });
+
+  it('忽略不存在的规则并给出警告', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const engine = new DeviceDetectionEngine().loadWeights({ rules: { 'no.such.rule': { weight: 1 } } });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('no.such.rule'));
+    expect(engine.rules.some(({ id }) => id === 'no.such.rule')).toBe(false);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,93 @@
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { describe, expect, it } from 'vitest';
+
+import { DeviceDetectionEngine } from '../../src/js/detector/engine.js';
+
+/**
+ * 信号快照样本目录
+ * 每个样本为 { label, description, expected: { version, deviceClass }, signals }，
+ * 与 scripts/replay.js 的带标注快照格式相同，signals 即检测步骤“原始信号快照”中的JSON
+ */
+const FIXTURE_DIR = new URL('./fixtures/', import.meta.url);
+
+const fixtures = readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ file, ...JSON.parse(readFileSync(new URL(file, FIXTURE_DIR), 'utf8')) }));
+
+describe('信号快照样本', () => {
+  it('覆盖 macOS、Windows、Android、iOS', () => {
+    expect(fixtures.map(({ label }) => label).sort()).toEqual(['Android', 'Windows', 'iOS', 'macOS']);
+  });
+
+  describe.each(fixtures)('$file', ({ label, description, expected, signals }) => {
+    const result = new DeviceDetectionEngine().evaluate(signals);
+
+    it(`识别为 ${label} ${expected.version}（${description}）`, () => {
+      expect(result.os).toBe(label);
+      expect(result.version.version).toBe(expected.version);
+    });
+
+    it(`设备类型为 ${expected.deviceClass}`, () => {
+      expect(result.deviceClass.name).toBe(expected.deviceClass);
+    });
+
+    it('所有规则和推断器正常执行', () => {
+      expect(result.errors).toEqual([]);
+    });
+
+    it('ETC1 纹理压缩规则只在非Apple GPU上触发', () => {
+      const step = result.steps.find(({ ruleId }) => ruleId === 'webglProfile.etc1');
+      expect(step?.ok ?? false).toBe(label === 'Android');
+    });
+
+    it('不修改原始信号', () => {
+      expect(result.signals).toBe(signals);
+      expect(signals.webgl).not.toHaveProperty('gpuVendor');
+      expect(signals.browser).not.toHaveProperty('ua');
+      expect(signals.deviceClass).not.toHaveProperty('uaHints');
+      expect(signals.nfc).not.toHaveProperty('inferredSupport');
+    });
+  });
+});
+
+describe('编辑 User-Agent', () => {
+  const { signals } = fixtures.find(({ label }) => label === 'Android');
+  const ANDROID_TABLET_UA =
+    'Mozilla/5.0 (Linux; Android 14; SM-X910) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+  const IPHONE_UA =
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+  /**
+   * 替换User-Agent后重新计分
+   * @param {Object} base 原始信号
+   * @param {string} ua 新的User-Agent
+   * @returns {Object} 检测结果
+   */
+  const evaluateWithUA = (base, ua) =>
+    new DeviceDetectionEngine().evaluate({ ...base, userAgent: { ...base.userAgent, ua } });
+
+  /**
+   * 查找规则是否触发
+   * @param {Object} result 检测结果
+   * @param {string} id 规则ID
+   * @returns {boolean}
+   */
+  const fired = (result, id) => Boolean(result.steps.find(({ ruleId }) => ruleId === id)?.ok);
+
+  it('设备形态标识随User-Agent重新派生', () => {
+    const base = { userAgent: signals.userAgent, deviceClass: signals.deviceClass };
+
+    expect(new DeviceDetectionEngine().evaluate(base).deviceClass.name).toBe('phone');
+    expect(evaluateWithUA(base, ANDROID_TABLET_UA).deviceClass.name).toBe('tablet');
+  });
+
+  it('NFC 设备推断随User-Agent重新派生', () => {
+    const before = new DeviceDetectionEngine().evaluate(signals);
+    const after = evaluateWithUA(signals, IPHONE_UA);
+
+    expect(fired(before, 'nfc.inferred.android')).toBe(true);
+    expect(fired(after, 'nfc.inferred.android')).toBe(false);
+    expect(fired(after, 'nfc.inferred.iphone')).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+
+import { diffRuns } from '../../src/js/utils/history.js';
+
+/**
+ * 构造历史记录
+ * @param {Object} [fields] 覆盖的字段
+ * @returns {Object}
+ */
+const record = (fields = {}) => ({
+  os: 'macOS',
+  confidence: 95,
+  browser: { name: 'Safari' },
+  probabilities: { macOS: 0.95, iOS: 0.05 },
+  steps: [{ ruleId: 'apple.applePay', title: 'Apple Pay', ok: true, weight: 8 }],
+  signals: { apple: { applePay: true }, fonts: { detected: ['Menlo', 'Monaco'] } },
+  ...fields
+});
+
+describe('diffRuns', () => {
+  it('相同的两次检测没有差异', () => {
+    const diff = diffRuns(record(), record());
+
+    expect(diff.signals).toEqual([]);
+    expect(diff.probabilities).toEqual([]);
+    expect(diff.steps).toEqual([]);
+    expect(diff.verdict.before).toEqual({ os: 'macOS', confidence: 95, browser: 'Safari' });
+  });
+
+  it('区分新增、移除和变化的信号', () => {
+    const before = record();
+    const after = record({
+      signals: { apple: { applePay: false }, display: { dpr: 2 } }
+    });
+    const changes = Object.fromEntries(diffRuns(before, after).signals.map(item => [item.path, item]));
+
+    expect(changes['apple.applePay']).toMatchObject({ change: 'changed', before: true, after: false });
+    expect(changes['display.dpr']).toMatchObject({ change: 'added', before: undefined, after: 2 });
+    expect(changes['fonts.detected']).toMatchObject({ change: 'removed', after: undefined });
+  });
+
+  it('数组作为整体比较', () => {
+    const after = record({
+      signals: { apple: { applePay: true }, fonts: { detected: ['Menlo', 'Monaco', 'SF Mono'] } }
+    });
+    const { signals } = diffRuns(record(), after);
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0]).toMatchObject({ path: 'fonts.detected', change: 'changed' });
+  });
+
+  it('后验概率变化按幅度降序', () => {
+    const after = record({ probabilities: { macOS: 0.6, iOS: 0.1, iPadOS: 0.3 } });
+    const { probabilities } = diffRuns(record(), after);
+
+    expect(probabilities.map(({ candidate }) => candidate)).toEqual(['macOS', 'iPadOS', 'iOS']);
+    expect(probabilities[0]).toMatchObject({ label: '操作系统', before: 95, after: 60, delta: -35 });
+  });
+
+  it('按规则ID比较触发状态和权重', () => {
+    const after = record({
+      steps: [
+        { ruleId: 'apple.applePay', title: 'Apple Pay', ok: false },
+        { ruleId: 'fonts.mac', title: 'macOS字体', ok: true, weight: 6 }
+      ]
+    });
+    const steps = Object.fromEntries(diffRuns(record(), after).steps.map(step => [step.ruleId, step]));
+
+    expect(steps['apple.applePay']).toMatchObject({
+      before: { ok: true, weight: 8 },
+      after: { ok: false, weight: null }
+    });
+    expect(steps['fonts.mac']).toMatchObject({ before: null, after: { ok: true, weight: 6 } });
+  });
+
+  it('缺少信号和步骤的旧记录按空值比较', () => {
+    const diff = diffRuns({ os: 'Windows', confidence: 80 }, record());
+
+    expect(diff.verdict.before.browser).toBeNull();
+    expect(diff.signals.length).toBeGreaterThan(0);
+    expect(diff.steps).toHaveLength(1);
+  });
+});
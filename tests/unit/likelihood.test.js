@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  CORRELATION_DISCOUNT,
+  LOG_ODDS_PER_POINT,
+  MAX_POSTERIOR,
+  combineEvidence,
+  getRuleEvidence,
+  normalizePosterior
+} from '../../src/js/detector/likelihood.js';
+
+const CANDIDATES = ['macOS', 'Windows', 'Linux'];
+
+describe('getRuleEvidence', () => {
+  it('按权重折算：只在触发时为目标候选项提供证据', () => {
+    const rule = { targets: ['macOS'] };
+
+    expect(getRuleEvidence(rule, true, 4, CANDIDATES)).toEqual({
+      macOS: 4 * LOG_ODDS_PER_POINT,
+      Windows: 0,
+      Linux: 0
+    });
+    expect(getRuleEvidence(rule, false, 4, CANDIDATES)).toBeNull();
+    expect(getRuleEvidence(rule, true, 0, CANDIDATES)).toBeNull();
+  });
+
+  it('似然表：触发贡献 log(p)，未触发贡献 log(1 - p)', () => {
+    const rule = { targets: ['Windows'], likelihoods: { Windows: 0.9, '*': 0.1 } };
+
+    const fired = getRuleEvidence(rule, true, 6, CANDIDATES);
+    expect(fired.Windows).toBeCloseTo(Math.log(0.9));
+    expect(fired.macOS).toBeCloseTo(Math.log(0.1));
+
+    const unfired = getRuleEvidence(rule, false, undefined, CANDIDATES);
+    expect(unfired.Windows).toBeCloseTo(Math.log(0.1));
+    expect(unfired.Linux).toBeCloseTo(Math.log(0.9));
+  });
+
+  it('似然表中未列出的候选项为无信息的0.5，概率被限制在有效范围内', () => {
+    const rule = { targets: ['macOS'], likelihoods: { macOS: 1 } };
+    const evidence = getRuleEvidence(rule, false, undefined, CANDIDATES);
+
+    expect(Number.isFinite(evidence.macOS)).toBe(true);
+    expect(evidence.Windows).toBeCloseTo(Math.log(0.5));
+  });
+});
+
+describe('combineEvidence', () => {
+  it('追加支持某个候选项的证据不会降低它的后验', () => {
+    const playready = { collector: 'drm', evidence: getRuleEvidence({ targets: ['Windows'] }, true, 8, CANDIDATES) };
+    const hardware = { collector: 'drm', evidence: getRuleEvidence({ targets: ['Windows'] }, true, 4, CANDIDATES) };
+    const uaRule = { targets: ['Windows'], likelihoods: { Windows: 0.98, '*': 0.01 } };
+    const unfiredRule = { targets: ['Linux'], likelihoods: { Linux: 0.98, '*': 0.01 } };
+    const windows = items => normalizePosterior(combineEvidence(items, CANDIDATES)).Windows;
+
+    expect(windows([playready, hardware])).toBeGreaterThan(windows([playready]));
+    expect(windows([hardware, playready])).toBeGreaterThan(windows([hardware]));
+
+    const uaFired = { collector: 'userAgent', evidence: getRuleEvidence(uaRule, true, 6, CANDIDATES) };
+    const uaUnfired = { collector: 'userAgent', evidence: getRuleEvidence(unfiredRule, false, 6, CANDIDATES) };
+    expect(windows([uaFired, uaUnfired])).toBeGreaterThanOrEqual(windows([uaFired]));
+  });
+
+  it('同一采集器的相关证据逐条折扣，不同采集器相加', () => {
+    const evidence = { macOS: 4, Windows: 0, Linux: 0 };
+    const combined = combineEvidence([
+      { collector: 'apple', evidence },
+      { collector: 'apple', evidence },
+      { collector: 'apple', evidence: { macOS: 0, Windows: 0, Linux: 0 } },
+      { collector: 'fonts', evidence }
+    ], CANDIDATES);
+
+    expect(combined.macOS - combined.Windows).toBeCloseTo(4 * (1 + CORRELATION_DISCOUNT) + 4);
+    expect(combined.Windows).toBe(combined.Linux);
+  });
+
+  it('没有证据时为全0', () => {
+    expect(combineEvidence([], CANDIDATES)).toEqual({ macOS: 0, Windows: 0, Linux: 0 });
+  });
+});
+
+describe('normalizePosterior', () => {
+  it('归一化为总和为1的概率分布', () => {
+    const probabilities = normalizePosterior({ macOS: Math.log(3), Windows: 0, Linux: 0 });
+
+    expect(probabilities.macOS).toBeCloseTo(0.6);
+    expect(probabilities.Windows).toBeCloseTo(0.2);
+    expect(Object.values(probabilities).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1);
+  });
+
+  it('没有证据时为均匀分布', () => {
+    const probabilities = normalizePosterior({ macOS: 0, Windows: 0, Linux: 0 });
+    Object.values(probabilities).forEach(p => expect(p).toBeCloseTo(1 / 3));
+  });
+
+  it('最高概率不超过 MAX_POSTERIOR，超出部分按比例分给其余候选项', () => {
+    const probabilities = normalizePosterior({ macOS: 20, Windows: 2, Linux: 2 });
+
+    expect(probabilities.macOS).toBe(MAX_POSTERIOR);
+    expect(probabilities.Windows).toBeCloseTo((1 - MAX_POSTERIOR) / 2);
+    expect(Object.values(probabilities).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1);
+  });
+
+  it('对数后验极大时不溢出', () => {
+    const probabilities = normalizePosterior({ macOS: 5000, Windows: 0, Linux: -5000 });
+
+    expect(probabilities.macOS).toBe(MAX_POSTERIOR);
+    expect(Object.values(probabilities).every(Number.isFinite)).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+
+import { DEFAULT_RULES } from '../../src/js/detector/rules.js';
+
+/**
+ * 按ID查找内置规则
+ * @param {string} id 规则ID
+ * @returns {Object}
+ */
+const rule = id => {
+  const found = DEFAULT_RULES.find(item => item.id === id);
+  if (!found) {
+    throw new Error(`规则不存在: ${id}`);
+  }
+  return found;
+};
+
+/**
+ * 用给定的信号判定规则
+ * @param {string} id 规则ID
+ * @param {Object} signals 全部信号（已推断）
+ * @returns {boolean}
+ */
+const judge = (id, signals) => {
+  const { collector, predicate } = rule(id);
+  return Boolean(predicate(signals[collector], signals));
+};
+
+const MAC_SAFARI_UA =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+const WINDOWS_CHROME_UA =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const ANDROID_CHROME_UA =
+  'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36';
+
+describe('内置规则', () => {
+  it('规则ID唯一，且都声明了采集器和目标', () => {
+    const ids = DEFAULT_RULES.map(({ id }) => id);
+    expect(new Set(ids).size).toBe(ids.length);
+    DEFAULT_RULES.forEach(({ id, collector, targets, predicate }) => {
+      expect(collector, id).toEqual(expect.any(String));
+      expect(Array.isArray(targets), id).toBe(true);
+      expect(predicate, id).toEqual(expect.any(Function));
+    });
+  });
+
+  describe('User-Agent', () => {
+    it('按User-Agent中的系统标识触发', () => {
+      const mac = { userAgent: { ua: MAC_SAFARI_UA } };
+      const windows = { userAgent: { ua: WINDOWS_CHROME_UA } };
+      const android = { userAgent: { ua: ANDROID_CHROME_UA } };
+
+      expect(judge('ua.macos', mac)).toBe(true);
+      expect(judge('ua.windows', mac)).toBe(false);
+      expect(judge('ua.windows', windows)).toBe(true);
+      expect(judge('ua.android', android)).toBe(true);
+      expect(judge('ua.macos', android)).toBe(false);
+    });
+
+    it('User-Agent缺失时不触发', () => {
+      expect(judge('ua.macos', { userAgent: {} })).toBe(false);
+    });
+  });
+
+  describe('硬件', () => {
+    it('deviceMemory 缺失时不视为低内存', () => {
+      expect(judge('hardware.memory.low', { hardware: { deviceMemory: 2 } })).toBe(true);
+      expect(judge('hardware.memory.low', { hardware: { deviceMemory: 8 } })).toBe(false);
+      expect(judge('hardware.memory.low', { hardware: { deviceMemory: null } })).toBe(false);
+      expect(judge('hardware.memory.low', { hardware: {} })).toBe(false);
+    });
+
+    it('键盘布局缺失或为null时不触发', () => {
+      expect(judge('hardware.keyboard.layoutMap', { hardware: { keyboard: { KeyQ: 'q' } } })).toBe(true);
+      expect(judge('hardware.keyboard.layoutMap', { hardware: { keyboard: null } })).toBe(false);
+      expect(judge('hardware.keyboard.layoutMap', { hardware: {} })).toBe(false);
+    });
+  });
+
+  describe('DRM和编码', () => {
+    it('FairPlay 可用时触发', () => {
+      const drm = { fairplay: { supported: true, keySystem: 'com.apple.fps' } };
+      expect(judge('drm.fairplay', { drm })).toBe(true);
+      expect(judge('drm.fairplay', { drm: { fairplay: { supported: false } } })).toBe(false);
+    });
+
+    it('prefer-hardware 的结果只在Blink上采信', () => {
+      const encoding = { video: { 'H.265/HEVC': { supported: true, hardware: true, powerEfficient: false } } };
+      const blink = { encoding, browser: { ua: { engine: 'Blink' } } };
+      const webkit = { encoding, browser: { ua: { engine: 'WebKit' } } };
+
+      expect(judge('encoding.hevc', blink)).toBe(true);
+      expect(judge('encoding.hevc', webkit)).toBe(false);
+    });
+
+    it('powerEfficient 在所有引擎上都采信', () => {
+      const encoding = { video: { 'H.265/HEVC': { supported: true, hardware: false, powerEfficient: true } } };
+      expect(judge('encoding.hevc', { encoding, browser: { ua: { engine: 'WebKit' } } })).toBe(true);
+    });
+  });
+
+  describe('WebGL', () => {
+    it('按派生的显卡厂商触发', () => {
+      expect(judge('webgl.vendor.nvidia', { webgl: { available: true, gpuVendor: 'nvidia' } })).toBe(true);
+      expect(judge('webgl.vendor.nvidia', { webgl: { available: true, gpuVendor: 'apple' } })).toBe(false);
+    });
+  });
+
+  describe('机型形态', () => {
+    it('桌面机型只计入desktop', () => {
+      expect(rule('deviceModel.form.desktop').targets).toEqual(['desktop']);
+    });
+
+    it('按匹配到的机型形态触发', () => {
+      const deviceModel = { matched: true, form: 'phone', best: 'iPhone 15', confidence: 90 };
+      expect(judge('deviceModel.form.phone', { deviceModel })).toBe(true);
+      expect(judge('deviceModel.form.desktop', { deviceModel })).toBe(false);
+      expect(judge('deviceModel.form.phone', { deviceModel: { ...deviceModel, matched: false } })).toBe(false);
+    });
+  });
+});
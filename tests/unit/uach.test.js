@@ -0,0 +1,90 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { formatBrands, getClientHints, getHintedOS } from '../../src/js/detector/uach.js';
+
+describe('getHintedOS', () => {
+  it('映射Client Hints平台名称，忽略大小写和空白', () => {
+    expect(getHintedOS('Windows')).toBe('Windows');
+    expect(getHintedOS(' macOS ')).toBe('macOS');
+    expect(getHintedOS('Android')).toBe('Android');
+  });
+
+  it('Chrome OS 归入Linux', () => {
+    expect(getHintedOS('Chrome OS')).toBe('Linux');
+    expect(getHintedOS('ChromeOS')).toBe('Linux');
+  });
+
+  it('无法识别的平台返回null', () => {
+    expect(getHintedOS('')).toBeNull();
+    expect(getHintedOS(undefined)).toBeNull();
+    expect(getHintedOS('Fuchsia')).toBeNull();
+  });
+});
+
+describe('formatBrands', () => {
+  it('过滤GREASE占位品牌', () => {
+    const brands = [
+      { brand: 'Not/A)Brand', version: '8' },
+      { brand: 'Chromium', version: '126' },
+      { brand: 'Google Chrome', version: '126' }
+    ];
+    expect(formatBrands(brands)).toBe('Chromium 126, Google Chrome 126');
+  });
+});
+
+describe('getClientHints', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('不支持 userAgentData 时返回不可用', async () => {
+    vi.stubGlobal('navigator', {});
+    const hints = await getClientHints();
+
+    expect(hints.available).toBe(false);
+    expect(hints.fullVersionList).toEqual([]);
+  });
+
+  it('读取低熵值和高熵值', async () => {
+    vi.stubGlobal('navigator', {
+      userAgentData: {
+        brands: [{ brand: 'Chromium', version: '126' }],
+        mobile: false,
+        platform: 'Windows',
+        getHighEntropyValues: () => Promise.resolve({
+          platformVersion: '15.0.0',
+          architecture: 'x86',
+          bitness: '64',
+          model: '',
+          fullVersionList: [{ brand: 'Chromium', version: '126.0.6478.127' }]
+        })
+      }
+    });
+    const hints = await getClientHints();
+
+    expect(hints).toMatchObject({
+      available: true,
+      mobile: false,
+      platform: 'Windows',
+      platformVersion: '15.0.0',
+      bitness: '64',
+      fullVersionList: [{ brand: 'Chromium', version: '126.0.6478.127' }],
+      error: null
+    });
+  });
+
+  it('高熵值获取失败时保留低熵值并记录错误', async () => {
+    vi.stubGlobal('navigator', {
+      userAgentData: {
+        brands: [],
+        mobile: true,
+        platform: 'Android',
+        getHighEntropyValues: () => Promise.reject(new Error('denied'))
+      }
+    });
+    const hints = await getClientHints();
+
+    expect(hints).toMatchObject({ available: true, mobile: true, platform: 'Android', platformVersion: '' });
+    expect(hints.error).toContain('denied');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+
+import { VERSION_STATE, detectOSVersion, formatOSVersion } from '../../src/js/detector/version.js';
+
+/**
+ * 构造版本检测所需的信号
+ * @param {string} ua User-Agent字符串
+ * @param {string} [platformVersion] Client Hints 平台版本
+ * @returns {Object}
+ */
+const signalsOf = (ua, platformVersion) => ({
+  userAgent: { ua },
+  clientHints: platformVersion
+    ? { available: true, platformVersion }
+    : { available: false, platformVersion: '' }
+});
+
+describe('detectOSVersion', () => {
+  describe('Windows', () => {
+    const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+    it('Client Hints 主版本 ≥ 13 为 Windows 11', () => {
+      const version = detectOSVersion('Windows', signalsOf(ua, '15.0.0'));
+      expect(version).toMatchObject({ version: '11', state: VERSION_STATE.DETECTED, source: 'clientHints' });
+    });
+
+    it('Client Hints 主版本 1~10 为 Windows 10', () => {
+      expect(detectOSVersion('Windows', signalsOf(ua, '10.0.0')).version).toBe('10');
+    });
+
+    it('只有 NT 10.0 时无法区分 10 和 11', () => {
+      expect(detectOSVersion('Windows', signalsOf(ua))).toMatchObject({
+        version: '10/11',
+        state: VERSION_STATE.FROZEN
+      });
+    });
+
+    it('旧版NT内核按对应表换算', () => {
+      const win7 = 'Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36';
+      expect(detectOSVersion('Windows', signalsOf(win7))).toMatchObject({
+        version: '7',
+        state: VERSION_STATE.DETECTED
+      });
+    });
+  });
+
+  describe('macOS', () => {
+    const frozen = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+    it('User-Agent 冻结在 10_15_7', () => {
+      expect(detectOSVersion('macOS', signalsOf(frozen))).toMatchObject({
+        version: '10.15+',
+        state: VERSION_STATE.FROZEN
+      });
+    });
+
+    it('Client Hints 给出真实版本', () => {
+      expect(detectOSVersion('macOS', signalsOf(frozen, '14.5.0')).version).toBe('14');
+    });
+
+    it('未冻结的旧版本按User-Agent识别', () => {
+      const ua = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.1.2 Safari/605.1.15';
+      expect(detectOSVersion('macOS', signalsOf(ua))).toMatchObject({
+        version: '10.13',
+        state: VERSION_STATE.DETECTED
+      });
+    });
+  });
+
+  describe('iOS/iPadOS', () => {
+    it('按系统版本号识别', () => {
+      const ua = 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_6_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1';
+      expect(detectOSVersion('iOS', signalsOf(ua))).toMatchObject({
+        version: '16.6.1',
+        state: VERSION_STATE.DETECTED
+      });
+    });
+
+    it('Safari 版本更高时以 Version/ 为准', () => {
+      const ua = 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/26.0 Mobile/15E148 Safari/604.1';
+      expect(detectOSVersion('iOS', signalsOf(ua)).version).toBe('26.0');
+    });
+
+    it('iPad 桌面模式按 Safari 版本推断', () => {
+      const ua = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15';
+      expect(detectOSVersion('iPadOS', signalsOf(ua))).toMatchObject({ version: '17.4', confidence: 60 });
+    });
+  });
+
+  describe('Android', () => {
+    it('精简User-Agent "Android 10; K" 视为冻结', () => {
+      const ua = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36';
+      expect(detectOSVersion('Android', signalsOf(ua))).toMatchObject({
+        version: '10+',
+        state: VERSION_STATE.FROZEN
+      });
+      expect(detectOSVersion('Android', signalsOf(ua, '14.0.0')).version).toBe('14');
+    });
+
+    it('完整User-Agent给出系统版本', () => {
+      const ua = 'Mozilla/5.0 (Linux; Android 13; SM-S911B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36';
+      expect(detectOSVersion('Android', signalsOf(ua)).version).toBe('13');
+    });
+  });
+
+  it('其他系统和缺失的User-Agent返回unknown', () => {
+    expect(detectOSVersion('Linux', signalsOf('X11; Linux x86_64')).state).toBe(VERSION_STATE.UNKNOWN);
+    expect(detectOSVersion('macOS', {}).state).toBe(VERSION_STATE.UNKNOWN);
+  });
+});
+
+describe('formatOSVersion', () => {
+  it('拼接系统和版本，冻结版本加注说明', () => {
+    expect(formatOSVersion('Windows', { version: '11', state: VERSION_STATE.DETECTED })).toBe('Windows 11');
+    expect(formatOSVersion('macOS', { version: '10.15+', state: VERSION_STATE.FROZEN })).toBe('macOS 10.15+ (版本已冻结)');
+    expect(formatOSVersion('Linux', { version: null, state: VERSION_STATE.UNKNOWN })).toBe('Linux');
+  });
+});